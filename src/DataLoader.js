@@ -0,0 +1,175 @@
+/**
+ * @typedef {object} LoadedRecord
+ * @property {string} source - Where the record came from, for error messages (e.g. "row 3" or "entries[2]")
+ * @property {string} [type] - "entry", "event" or "period"
+ * @property {object} [data] - The record, in the format for Timeline.addEntry(), Timeline.addEvent() or Timeline.addPeriod()
+ * @property {string} [error] - If the record couldn't be read, the reason. The type and data are then omitted.
+ */
+
+/**
+ * A class for reading timeline entries, events and periods from JSON and CSV data.
+ */
+class DataLoader {
+
+	/**
+	 * Read entries, events and periods from parsed JSON data.
+	 * The data can be an object with "entries", "events" and "periods" arrays, or an array of entries.
+	 * @static
+	 * @param {object|object[]} json
+	 * @return {LoadedRecord[]}
+	 */
+	static fromJSON(json) {
+		const records = [];
+
+		if (Array.isArray(json)) {
+			json = { entries: json };
+		}
+		if (typeof json !== "object" || json === null) {
+			return [ { source: "JSON", error: "The data must be an object with entries, events and periods arrays, or an array of entries." } ];
+		}
+
+		for (const [key, type] of [ [ "entries", "entry" ], [ "events", "event" ], [ "periods", "period" ] ]) {
+			if (json[key] === undefined) continue;
+			if (!Array.isArray(json[key])) {
+				records.push({ source: key, error: `"${key}" must be an array.` });
+				continue;
+			}
+			json[key].forEach((data, i) => {
+				const source = `${key}[${i}]`;
+				if (typeof data !== "object" || data === null || Array.isArray(data)) {
+					records.push({ source: source, error: "Each record must be an object." });
+					return;
+				}
+				records.push({ source: source, type: type, data: data });
+			});
+		}
+		return records;
+	}
+
+	/**
+	 * Read entries, events and periods from CSV text.
+	 * The first row must be a header naming the columns. Columns are matched to entry, event and period properties by name,
+	 * either as the property name (e.g. "endEstimate") or as a data attribute (e.g. "data-end-estimate"), unless mapped in the columns parameter.
+	 * Rows are entries, unless a "type" column has the value "event" or "period".
+	 * @static
+	 * @param {string} text
+	 * @param {object} [columns = {}] - A map of property names to column names, for columns that don't match the property name.
+	 * @return {LoadedRecord[]}
+	 */
+	static fromCSV(text, columns = {}) {
+		const records = [];
+		const rows = this.parseCSV(text);
+		if (rows.length === 0) {
+			return records;
+		}
+
+		const headers = this._mapHeaders(rows[0].cells, columns);
+		for (const row of rows.slice(1)) {
+			const source = `row ${row.line}`;
+			if (row.cells.length > headers.length) {
+				records.push({ source: source, error: `The row has ${row.cells.length} columns, but the header has ${headers.length}.` });
+				continue;
+			}
+
+			const data = {};
+			row.cells.forEach((cell, i) => {
+				if (cell.trim() !== "") {
+					data[headers[i]] = cell.trim();
+				}
+			});
+
+			const type = (data.type ?? "entry").toLowerCase();
+			delete data.type;
+			if ([ "entry", "event", "period" ].includes(type)) {
+				records.push({ source: source, type: type, data: data });
+			} else {
+				records.push({ source: source, error: `Invalid type "${type}". The type must be "entry", "event" or "period".` });
+			}
+		}
+		return records;
+	}
+
+	/**
+	 * Parse CSV text into rows of cells. Cells can be quoted with double quotes, to include commas, new lines or (doubled) quotes.
+	 * Rows with only empty cells are skipped.
+	 * @static
+	 * @param {string} text
+	 * @return {object[]} Each row's line number and cells
+	 */
+	static parseCSV(text) {
+		const rows = [];
+		let cells = [], cell = "", quoted = false, line = 1, rowLine = 1;
+
+		const endRow = () => {
+			cells.push(cell);
+			if (cells.some(c => c.trim() !== "")) {
+				rows.push({ line: rowLine, cells: cells });
+			}
+			cells = [];
+			cell = "";
+		};
+
+		for (let i = 0; i < text.length; i++) {
+			const c = text[i];
+			if (quoted) {
+				if (c === '"' && text[i+1] === '"') {
+					cell += c;
+					i++;
+				} else if (c === '"') {
+					quoted = false;
+				} else {
+					if (c === "\n") line++;
+					cell += c;
+				}
+				continue;
+			}
+
+			switch(c) {
+				case '"':
+					quoted = true;
+					break;
+				case ",":
+					cells.push(cell);
+					cell = "";
+					break;
+				case "\r":
+					break;
+				case "\n":
+					endRow();
+					line++;
+					rowLine = line;
+					break;
+				default:
+					cell += c;
+			}
+		}
+		endRow();
+		return rows;
+	}
+
+	/**
+	 * Get the property name for each column header.
+	 * @protected
+	 * @static
+	 * @param {string[]} headers
+	 * @param {object} columns - A map of property names to column names
+	 * @return {string[]}
+	 */
+	static _mapHeaders(headers, columns) {
+		const mapped = {};
+		for (const [prop, column] of Object.entries(columns)) {
+			mapped[column] = prop;
+		}
+
+		return headers.map(h => {
+			h = h.trim();
+			if (Object.hasOwn(mapped, h)) {
+				return mapped[h];
+			}
+			//Convert data attribute names as for an element's dataset
+			return h.replace(/^data-/, "").replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+		});
+	}
+}
+
+export default DataLoader
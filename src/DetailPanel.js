@@ -0,0 +1,192 @@
+/**
+ * Class representing the panel showing the details of an entry. This is used by the main Timeline class, if the detailPanel option is set.
+ * The panel shows the entry's dates, description and link, the entries before and after it, the entries linked with it, and its events.
+ * Related entries and events are shown as buttons, which call the given function when clicked.
+ */
+class DetailPanel {
+
+	/**
+	 * @param {string} id - The ID for the panel element
+	 * @param {function} onSelect - Called when a related entry or event is clicked, with the entry's ID or the event's element
+	 * @param {function} [onHide] - Called when the panel is hidden
+	 */
+	constructor(id, onSelect, onHide = () => {}) {
+		this._onSelect = onSelect;
+		this._onHide = onHide;
+
+		this._panel = document.createElement("section");
+		this._panel.id = id;
+		this._panel.classList.add("timeline-detail");
+		this._panel.setAttribute("role", "dialog");
+		this._panel.setAttribute("aria-labelledby", `${id}-title`);
+		this._panel.tabIndex = -1;
+		this._panel.hidden = true;
+
+		this._panel.addEventListener("click", (e) => this._clickHandler(e));
+		this._panel.addEventListener("keydown", (e) => {
+			if (e.key === "Escape") this.hide();
+		});
+	}
+
+	/**
+	 * The panel element, which must be added to the document.
+	 * @return {HTMLElement}
+	 */
+	get element() {
+		return this._panel;
+	}
+
+	/**
+	 * Whether the panel is showing an entry.
+	 * @return {boolean}
+	 */
+	get open() {
+		return !this._panel.hidden;
+	}
+
+	/**
+	 * The ID of the entry shown, if any.
+	 * @return {string|null}
+	 */
+	get entryId() {
+		return ( this._entry ? this._entry.id : null );
+	}
+
+	/**
+	 * Show the details of an entry, replacing any shown before.
+	 * @param {object} details - The entry's details, as returned by Diagram.getEntryDetails()
+	 * @param {HTMLElement} entry - The entry's element, to return the focus to when the panel is closed
+	 */
+	show(details, entry) {
+		this._entry = entry;
+		this._items = new Map();
+		this._panel.replaceChildren();
+
+		const close = this._createElement("button", "×", "timeline-detail-close");
+		close.type = "button";
+		close.setAttribute("aria-label", "Close");
+		this._panel.append(close);
+
+		const title = this._createElement("h2", details.name);
+		title.id = `${this._panel.id}-title`;
+		this._panel.append(title);
+		this._panel.append(this._createElement("p", details.dates, "timeline-detail-dates"));
+
+		if (details.description) {
+			this._panel.append(this._createElement("p", details.description, "timeline-detail-description"));
+		}
+		const url = this._getSafeUrl(details.url);
+		if (url) {
+			const link = this._createElement("a", "More information");
+			link.href = url;
+			link.target = "_blank";
+			link.rel = "noopener";
+			const p = this._createElement("p", "", "timeline-detail-link");
+			p.append(link);
+			this._panel.append(p);
+		}
+
+		this._addList("Before", details.before.map(r => ({ text: r.name, note: r.relation, item: r.id })));
+		this._addList("After", details.after.map(r => ({ text: r.name, note: r.relation, item: r.id })));
+		this._addList("Linked", details.links.map(r => ({ text: r.name, item: r.id })));
+		this._addList("Events", details.events.map(e => ({ text: `${e.dataset.year}: ${e.innerText}`, item: e })));
+
+		this._panel.hidden = false;
+	}
+
+	/**
+	 * Hide the panel, returning the focus to the entry it was opened for.
+	 */
+	hide() {
+		if (!this.open) return;
+		this._panel.hidden = true;
+		if (this._entry && this._entry.isConnected) {
+			this._entry.focus({ preventScroll: true });
+		}
+		this._onHide();
+	}
+
+	/**
+	 * Remove the panel from the document.
+	 */
+	destroy() {
+		this._panel.remove();
+	}
+
+	/**
+	 * Add a heading and list of related entries or events, if there are any.
+	 * @protected
+	 * @param {string} heading
+	 * @param {object[]} items - Each with the text to show, an optional note (e.g. the kind of relation), and the entry ID or event element to select when clicked
+	 */
+	_addList(heading, items) {
+		if (items.length === 0) return;
+
+		const list = document.createElement("ul");
+		for (const item of items) {
+			const button = this._createElement("button", item.text);
+			button.type = "button";
+			button.dataset.item = this._items.size;
+			this._items.set(button.dataset.item, item.item);
+
+			const li = document.createElement("li");
+			li.append(button);
+			if (item.note) {
+				li.append(this._createElement("span", item.note, "timeline-detail-note"));
+			}
+			list.append(li);
+		}
+		this._panel.append(this._createElement("h3", heading), list);
+	}
+
+	/**
+	 * Handle clicks on the close button and related entries and events.
+	 * @protected
+	 * @param {MouseEvent} e
+	 */
+	_clickHandler(e) {
+		const button = e.target.closest("button");
+		if (!button) return;
+
+		if (button.classList.contains("timeline-detail-close")) {
+			this.hide();
+		} else if (button.dataset.item !== undefined) {
+			this._onSelect(this._items.get(button.dataset.item));
+		}
+	}
+
+	/**
+	 * Get a URL if it's safe to link to, i.e. an http or https URL.
+	 * @protected
+	 * @param {string|null} url
+	 * @return {string|null}
+	 */
+	_getSafeUrl(url) {
+		if (!url) return null;
+		try {
+			const parsed = new URL(url, document.baseURI);
+			return ( [ "http:", "https:" ].includes(parsed.protocol) ? parsed.href : null );
+		} catch {
+			return null;
+		}
+	}
+
+	/**
+	 * Create an element with the given text and class.
+	 * @protected
+	 * @param {string} tag
+	 * @param {string} text
+	 * @param {string} [className]
+	 * @return {HTMLElement}
+	 */
+	_createElement(tag, text, className) {
+		const el = document.createElement(tag);
+		el.textContent = text;
+		if (className) {
+			el.classList.add(className);
+		}
+		return el;
+	}
+}
+
+export default DetailPanel
@@ -1,28 +1,21 @@
 import SvgConnector from './SvgConnector.js';
-import DiagramPositioner from './DiagramPositioner.js';
-import {applyConfig} from './util.js';
+import {defaultLayoutConfig, Layout} from './Layout.js';
+import {applyConfig, parseDate, datePrecision, formatYear} from './util.js';
 
 /**
  * The default configuration object for the Diagram class
  */
 const defaultDiagramConfig = {
-	yearStart: 1900,
-	yearEnd: new Date().getFullYear() + 1,
-	strokeWidth: 4,
-	yearWidth: 50,
-	rowHeight: 50,
-	padding: 5,
-	boxWidth: 100,
-	guides: true,
-	guideInterval: 5,
+	...defaultLayoutConfig,
 	entrySelector: "div",
-	linkDashes: "4",
-	irregularDashes: "88 4 4 4"
+	connectorLayer: false,
+	collapseGroups: false
 }
 
 /**
  * Class representing the timeline diagram drawing area. This is used by the main Timeline class.
  * The diagram is drawn by instanciating this class and calling create() on the instance.
+ * The layout is calculated by the Layout class from the entries' data, and this class draws the result in the container.
  */
 class Diagram {
 	
@@ -30,7 +23,7 @@ class Diagram {
 	 * Create a diagram.
 	 * @param {string} container - The ID of the container element for the diagram.
 	 * @param {object} config - Configuration object for the diagram. Entirely optional.
-	 * @param {number} [config.yearStart = 1900] - the starting year for the timeline
+	 * @param {number} [config.yearStart = 1900] - the starting year for the timeline. BCE years are negative, and there is no year 0.
 	 * @param {number} [config.yearEnd = Current year + 1] - the end year for the timeline
 	 * @param {number} [config.strokeWidth = 4] - the width in px of the joining lines
 	 * @param {number} [config.yearWidth = 50] - the width in px of diagram used to for each year
@@ -38,19 +31,65 @@ class Diagram {
 	 * @param {number} [config.padding = 5] - the padding in px between rows
 	 * @param {number} [config.boxWidth = 100] - the width in px of each entry
 	 * @param {boolean} [config.guides = true] - whether to draw striped guides at regular intervals in the timeline
-	 * @param {number} [config.guideInterval = 5] - the interval in years between guides (ignored if 'guides' is false)
+	 * @param {(number|string)} [config.guideInterval = 5] - the interval in years between guides (ignored if 'guides' is false), or "auto" to choose one to suit yearWidth
+	 * @param {(number|string)} [config.labelInterval = auto] - the interval in years between date labels, or "auto" to choose one to suit yearWidth (e.g. 5 years at 50px per year, or 100 at 2px)
+	 * @param {(function|null)} [config.labelFormatter = null] - a function taking a year (negative for BCE) and returning its date label. By default, BCE years are shown as e.g. "500 BCE".
 	 * @param {string} [config.entrySelector = "div"] - the CSS selector to match entries
 	 * @param {string} [config.linkDashes = "4"] - The svg dasharray for link lines.
 	 * 								Must be a valid dasharray. See <https://developer.mozilla.org/en-US/docs/Web/SVG/Attribute/stroke-dasharray>
 	 * @param {string} [config.irregularDashes = "20 2"] - The svg dasharray for entries marked as 'irregular' with the data-irregular attribute.
 	 * 								Must be a valid dasharray. See <https://developer.mozilla.org/en-US/docs/Web/SVG/Attribute/stroke-dasharray>
+	 * @param {string} [config.orientation = "horizontal"] - The direction of the time axis: "horizontal" (left to right) or "vertical" (top to bottom).
+	 * 								In vertical orientation, rows become columns, so 'rowHeight' is the width of each column and 'boxWidth' the height of each entry.
+	 * @param {string} [config.rowLayout = "basic"] - How rows are chosen for entries without a manual row: "basic" places each entry in the first space found,
+	 * 								and "min-crossings" then reorders the rows to reduce the lines crossing other entries and the total length of lines.
+	 * @param {boolean} [config.swimlanes = false] - If true, each group of entries has rows of its own, drawn as a tinted lane with a header, and ungrouped entries are placed after the lanes.
+	 * 								Lanes can be collapsed to a single summary row with setCollapsedLanes().
+	 * @param {boolean} [config.strict = false] - If true, an error is thrown instead of drawing the diagram if there are any errors in the data. See Validator.
+	 * @param {boolean} [config.connectorLayer = false] - If true, all connectors are drawn as paths in a single SVG layer, which is faster for large diagrams.
+	 * 								Otherwise, each connector is drawn as a separate SVG element.
+	 * @param {boolean} [config.collapseGroups = false] - If true, a band is drawn for each group of entries, which is shown in place of the entries when the container has the class "detail-low".
 	 */
 	constructor(container, config = {}) {		
+		this._layout = new Layout(config);
 		this._config = this._makeConfig(config);
-		this._applyCSSProperties();
 		this._container = document.getElementById(container);
-		this._entries = document.querySelectorAll("#" + container + " > " + this._config.entrySelector+":not(.timeline-exclude):not(.event)");
-		this._events = this._container.querySelectorAll(".event");
+		this._original = this._container.cloneNode(true);
+		this._applyCSSProperties();
+		this._entryData = new WeakMap();
+		this._preparedEvents = new WeakSet();
+		this._preparedPeriods = new WeakSet();
+		this._connectors = new Map();
+		this._playhead = null;
+		this._playheadLine = null;
+		this._connectorSettings = new WeakMap();
+		this._filter = null;
+		this._collapsedLanes = [];
+		this._lanes = new Map();
+		this._queryElements();
+	}
+	
+	/**
+	 * Find the entries, events and periods in the container, excluding elements added when drawing the diagram.
+	 * @protected
+	 */
+	_queryElements() {
+		({ entries: this._entries, events: this._events, periods: this._periods } = Diagram.findElements(this._container, this._config.entrySelector));
+	}
+	
+	/**
+	 * Find the entries, events and periods in a container, excluding elements added when drawing a diagram.
+	 * @static
+	 * @param {HTMLElement} container
+	 * @param {string} entrySelector - the CSS selector to match entries
+	 * @return {object} The entries, events and periods, as NodeLists
+	 */
+	static findElements(container, entrySelector) {
+		return {
+			entries: container.querySelectorAll(":scope > " + entrySelector + ":not(.timeline-exclude):not(.event):not(.period):not(.dates):not(.guide):not(.group-band):not(.playhead):not(.lane):not(.lane-header):not(.lane-summary)"),
+			events: container.querySelectorAll(".event"),
+			periods: container.querySelectorAll(":scope > .period")
+		};
 	}
 	
 	/**
@@ -60,14 +99,19 @@ class Diagram {
 	 * @return {object}
 	 */
 	_makeConfig(config) {
-		const c = applyConfig(defaultDiagramConfig, config);
-		//Derived settings for convenience
-		c.boxHeight = c.rowHeight - c.padding*2;
-		c.boxMinWidth = c.boxHeight;
-		return c;
+		//The layout config includes the derived settings
+		return { ...applyConfig(defaultDiagramConfig, config), ...this._layout.config };
 	}
 	
 		
+	/**
+	 * The final config, including defaults and the settings derived by the Layout.
+	 * @return {object}
+	 */
+	get config() {
+		return {...this._config};
+	}
+	
 	/**
 	 * Set a single config property.
 	 * @protected
@@ -83,198 +127,661 @@ class Diagram {
 	 */
 	create() {
 		this._setup();
+		this._setEvents();
+		if (this._config.connectorLayer === true) {
+			this._createLayer();
+		}
 		this._draw();
+		this._drawGroupBands();
+		this._drawPeriods();
 		this._addDates();
 		if (this._config.guides === true) {
 			this._addGuides();
 		}
+		this._drawLanes();
+		this._setAccessibility();
+		this._dispatchRender();
 		return this._container;
 	}
 	
+	/**
+	 * Set a filter to choose which entries are shown. Entries not shown are hidden, along with their events, and the other entries are laid out without them.
+	 * Lines to hidden entries are drawn as short dotted stubs, with the class "offview". Call refresh() to apply the filter if the diagram has already been created.
+	 * @param {function|null} filter - Called with each entry's data (its id, name and attributes), returning true to show the entry, or null to show all entries
+	 */
+	setFilter(filter) {
+		this._filter = filter;
+	}
+	
+	/**
+	 * Set which swimlanes are collapsed, if swimlanes is set. The entries of a collapsed lane are hidden, and the lane is closed up to a single row with a bar summarising them.
+	 * Call refresh() to apply this if the diagram has already been created.
+	 * @param {string[]} groups - The groups whose lanes are collapsed
+	 */
+	setCollapsedLanes(groups) {
+		this._collapsedLanes = groups.map(String);
+	}
+	
+	/**
+	 * Highlight the given entries, with their events and the lines between them, and dim the rest of the diagram.
+	 * Highlighted elements have the class "lineage", and the container has the class "lineage-active".
+	 * The highlight isn't kept when entries are redrawn by refresh(), so should be set again afterwards.
+	 * @param {string[]|null} ids - The IDs of the entries to highlight, or null to remove the highlight
+	 * @param {boolean} [links = false] - Whether to highlight links between the entries
+	 */
+	highlight(ids, links = false) {
+		for (const el of this._container.querySelectorAll(".lineage")) {
+			el.classList.remove("lineage");
+		}
+		this._container.classList.toggle("lineage-active", ids !== null);
+		if (ids === null) return;
+		
+		const highlighted = new Set(ids);
+		for (const el of [...this._entries, ...this._events]) {
+			if (highlighted.has(el.id) || highlighted.has(el.dataset.target)) {
+				el.classList.add("lineage");
+			}
+		}
+		for (const id of highlighted) {
+			for (const connector of this._connectors.get(id) ?? []) {
+				const settings = this._connectorSettings.get(connector);
+				if (settings.type === "link" && !links) continue;
+				if (settings.target === undefined || highlighted.has(settings.target)) {
+					connector.classList.add("lineage");
+				}
+			}
+		}
+	}
+	
+	/**
+	 * Get the position and size of an entry or event as drawn, in px from the top left of the diagram.
+	 * @param {HTMLElement} el - An entry or event
+	 * @return {object|null} The x, y, width and height, and the row for an entry, or null if the element isn't shown in the diagram
+	 */
+	getGeometry(el) {
+		const layout = this._placed.get(el);
+		if (!layout) return null;
+		if (el.classList.contains("event")) {
+			return { x: layout.x, y: layout.y, width: el.offsetWidth, height: el.offsetHeight };
+		}
+		return { x: layout.x, y: layout.y, width: layout.width, height: layout.height, row: layout.row };
+	}
+	
+	/**
+	 * Get the calculated layout of the diagram, as last drawn.
+	 * @return {object} The layout, as returned by Layout.calculate()
+	 */
+	getLayout() {
+		return this._result;
+	}
+	
+	/**
+	 * Show the diagram as it was at a point along the time axis, for playback.
+	 * Entries, events and connectors after the point are given the class "future" (hidden by the CSS), lines crossing it are cut off at it, and a line with the class "playhead" marks it.
+	 * @param {number|null} position - The point in px along the time axis, e.g. from yearToWidth(), or null to show the whole diagram again
+	 */
+	setPlayhead(position) {
+		this._playhead = position;
+		this._container.classList.toggle("playback", position !== null);
+		if (position === null) {
+			if (this._playheadLine) this._playheadLine.remove();
+			this._playheadLine = null;
+		} else if (!this._playheadLine) {
+			this._playheadLine = document.createElement("div");
+			this._playheadLine.classList.add("playhead");
+			this._playheadLine.setAttribute("aria-hidden", "true");
+			this._container.append(this._playheadLine);
+		}
+		if (this._playheadLine) {
+			this._setPosition(this._playheadLine, { x: position });
+		}
+		
+		//The layout's coordinates are already oriented, so the time axis is y in vertical diagrams
+		const vertical = ( this._config.orientation === "vertical" );
+		const time = (coords) => ( vertical ? coords.y : coords.x );
+		const isFuture = (t) => ( position !== null && t > position );
+		for (const layout of this._result.entries) {
+			this._entries[layout.index].classList.toggle("future", isFuture(time(layout)));
+		}
+		for (const layout of this._result.events) {
+			const event = this._events[layout.index];
+			event.classList.toggle("future", isFuture(this.yearToWidth(event.dataset.year)));
+		}
+		for (const layout of this._result.periods) {
+			this._periods[layout.index].classList.toggle("future", isFuture(time(layout)));
+		}
+		for (const layout of this._result.lanes.filter(l => l.summary)) {
+			this._lanes.get(layout.group).summary.classList.toggle("future", isFuture(time(layout.summary)));
+		}
+		for (const connector of [...this._connectors.values()].flat()) {
+			const settings = this._connectorSettings.get(connector);
+			const [from, to] = [ time(settings.start), time(settings.end) ].sort((a, b) => a - b);
+			//Each connector's own SVG extends twice the stroke width past the line's ends, for its markers (see SvgConnector.draw()), while paths in the layer are clipped to the line itself
+			const padding = ( this._layer ? 0 : settings.stroke*2 );
+			const cut = ( position === null || from > position ? 0 : Math.max(0, to + padding - position) );
+			const inset = ( vertical ? `0 0 ${cut}px 0` : `0 ${cut}px 0 0` );
+			connector.classList.toggle("future", isFuture(from));
+			connector.style.clipPath = ( cut > 0 ? `inset(${inset})` : "" );
+		}
+	}
+	
+	/**
+	 * Find the connector an element belongs to, e.g. the target of a pointer event.
+	 * @param {Element|null} el - A connector, or an element within one
+	 * @return {object|null} The connector's element and its settings from the calculated layout (see Layout.calculate()), or null if the element isn't part of a connector
+	 */
+	getConnector(el) {
+		for (let node = el; node && node !== this._container; node = node.parentNode) {
+			const settings = this._connectorSettings.get(node);
+			if (settings) return { element: node, settings: settings };
+		}
+		return null;
+	}
+	
+	/**
+	 * Recalculate the layout after entries or events have been added, changed or removed since create() was called.
+	 * Only the entries, connectors and events affected by the new layout are redrawn. (Guides depend only on the configured years, so are unaffected.)
+	 */
+	refresh() {
+		const previous = this._getEntryStates();
+		const previousGeneral = [...this._events].filter(e => !e.dataset.target);
+		const previousConnectors = this._connectorData;
+		const rows = this._config.rows;
+		
+		this._queryElements();
+		const added = [...this._events].filter(e => !this._preparedEvents.has(e));
+		this._setup();
+		
+		const current = this._getEntryStates();
+		const changed = new Set([...current.keys()].filter(id => current.get(id) !== previous.get(id)));
+		
+		//General events are only affected by each other
+		const general = [...this._events].filter(e => !e.dataset.target);
+		const generalChanged = general.length !== previousGeneral.length || general.some((e, i) => e !== previousGeneral[i]);
+		this._setEvents(e => {
+			return added.includes(e) || (e.dataset.target ? changed.has(e.dataset.target) : generalChanged);
+		});
+		
+		for (const id of previous.keys()) {
+			if (!current.has(id)) this._removeConnectors(id);
+		}
+		//Lines to hidden entries can change without the entry itself changing
+		const connectorsChanged = (id) => JSON.stringify(previousConnectors.get(id)) !== JSON.stringify(this._connectorData.get(id));
+		for (const entry of this._entries) {
+			if (changed.has(entry.id) || this._getConnectedIds(entry).some(id => changed.has(id)) || connectorsChanged(entry.id)) {
+				this._removeConnectors(entry.id);
+				this._drawEntry(entry);
+			}
+		}
+		
+		if (rows !== this._config.rows) {
+			this._positionDates();
+		}
+		this._drawGroupBands();
+		this._drawLanes();
+		this._drawPeriods();
+		this._setAccessibility();
+		if (this._playhead !== null) {
+			this.setPlayhead(this._playhead);
+		}
+		this._dispatchRender();
+	}
+	
+	/**
+	 * Remove the diagram, restoring the container to its markup before create() was called, and remove the styles added to the document.
+	 */
+	destroy() {
+		for (const attr of [...this._container.attributes]) {
+			this._container.removeAttribute(attr.name);
+		}
+		for (const attr of this._original.attributes) {
+			this._container.setAttribute(attr.name, attr.value);
+		}
+		this._container.replaceChildren(...this._original.childNodes);
+		
+		if (this._style) {
+			this._style.remove();
+		}
+	}
+	
+	/**
+	 * Get the stored data for an entry, as originally given before the diagram was drawn.
+	 * Changes to this object are applied to the entry on the next refresh().
+	 * @param {HTMLElement} entry
+	 * @return {object}
+	 */
+	entryData(entry) {
+		return this._entryData.get(entry) ?? entry.dataset;
+	}
+	
+	/**
+	 * Get a representation of each entry's position and data, to compare for changes between layouts.
+	 * @protected
+	 * @return {Map<string, string>}
+	 */
+	_getEntryStates() {
+		const states = new Map();
+		for (const entry of this._entries) {
+			states.set(entry.id, JSON.stringify({
+				left: entry.style.left,
+				top: entry.style.top,
+				min: entry.classList.contains("min"),
+				hidden: entry.classList.contains("filtered"),
+				data: {...entry.dataset}
+			}));
+		}
+		return states;
+	}
+	
+	/**
+	 * Get the IDs of all entries an entry is connected to.
+	 * @protected
+	 * @param {HTMLElement} entry
+	 * @return {string[]}
+	 */
+	_getConnectedIds(entry) {
+		return [ "become", "split", "merge", "links" ]
+			.filter(attrib => Object.hasOwn(entry.dataset, attrib))
+			.flatMap(attrib => entry.dataset[attrib].split(" "));
+	}
+	
 	/** Setup necessary CSS classes and data for entries.
 	 * @protected
 	 */
 	_setup() {
-		this._prepareEntries();
-		this._prepareRows();
+		this._resetEntries();
+		this._prepareEvents();
+		this._calculateLayout();
+		
+		for (const event of this._events) {
+			event.classList.toggle("filtered", this._hidden.has(event.dataset.target));
+		}
 		
 		//Set up container
 		this._container.classList.add("timeline-container");
-		this._container.style.height = (this._config.rows + 2) * this._config.rowHeight + "px"; //Add 2 rows to total for top and bottom space
-		this._container.style.width = (this._config.yearEnd + 1 - this._config.yearStart) * this._config.yearWidth + "px"; //Add 1 year for padding
+		if (this._config.orientation === "vertical") {
+			this._container.classList.add("timeline-vertical");
+		}
+		if (this._config.collapseGroups === true) {
+			this._container.classList.add("collapse-groups");
+		}
+		this._container.style.width = this._result.width + "px";
+		this._container.style.height = this._result.height + "px";
 	
 		this._setEntries();
-		this._setEvents();
 	}
 	
-	/** Prepare all entries with initial classes and data
+	/**
+	 * Calculate the layout from the current entry and event data.
 	 * @protected
 	 */
-	_prepareEntries() {
-		for (const entry of this._entries) {
-			entry.classList.add("entry");
-			entry.dataset.end = this._calcEnd(entry);
-			
-			//If start is before Timeline start, then move it and add a class.
-			if (parseInt(entry.dataset.start) < this._config.yearStart) {
-				entry.classList.add("preexists");
-				entry.dataset.start = this._config.yearStart;
-			}
-			
-			//Validate all referenced IDs and warn if missing.
-			for (const attrib of [ "become", "split", "merge", "links" ]) {
-				if (Object.hasOwn(entry.dataset, attrib)) {
-					for (const id of entry.dataset[attrib].split(" ")) {
-						if (!document.getElementById(id)) {
-							console.warn(`${entry.id}: Given ${attrib} ID "${id}" doesn't exist. Ignoring.`);
-							delete entry.dataset[attrib];
-						}
-					}
-				}
+	_calculateLayout() {
+		const entries = [...this._entries].map(e => ({ id: e.id, ...e.dataset }));
+		const events = [...this._events].map(e => ({ ...e.dataset, content: e.innerText, width: e.offsetWidth, height: e.offsetHeight }));
+		const periods = [...this._periods].map(p => ({ name: p.innerText, ...p.dataset }));
+		const hidden = ( this._filter ? [...this._entries].filter(e => !this._filter({ id: e.id, name: e.innerText, ...e.dataset })).map(e => e.id) : [] );
+		this._dispatch("timelineBeforeLayout", { entries: entries, events: events, hidden: hidden, periods: periods });
+		this._result = this._layout.calculate(entries, events, hidden, periods, this._collapsedLanes);
+		this._placed = new Map([
+			...this._result.entries.map(l => [this._entries[l.index], l]),
+			...this._result.events.map(l => [this._events[l.index], l])
+		]);
+		this._hidden = new Set(this._result.hidden);
+		this._setConfigProp("rows", this._result.rows);
+		this._names = new Map([...this._entries].map(e => [e.id, e.innerText]));
+		this._groups = new Map(this._result.entries.map(e => [e.id, e.data.group]));
+		this._reverse = this._getReverseRelations();
+		
+		this._connectorData = new Map();
+		for (const connector of this._result.connectors) {
+			if (!this._connectorData.has(connector.entry)) {
+				this._connectorData.set(connector.entry, []);
 			}
+			this._connectorData.get(connector.entry).push(connector);
 		}
+		this._dispatch("timelineLayout", { result: this._result });
 	}
 	
 	/**
-	 * Set the row for all entries using automatic diagramPositioner
+	 * Fire an event on the container.
 	 * @protected
+	 * @param {string} type
+	 * @param {object} detail
 	 */
-	_prepareRows() {
-		let rows = 1;
-		
-		//Find the highest manual row number
+	_dispatch(type, detail) {
+		this._container.dispatchEvent(new CustomEvent(type, { detail: detail }));
+	}
+	
+	/**
+	 * Fire the timelineRender event, after the diagram has been drawn or redrawn.
+	 * @protected
+	 */
+	_dispatchRender() {
+		this._dispatch("timelineRender", {
+			width: this._result.width,
+			height: this._result.height,
+			rows: this._result.rows,
+			hidden: this._result.hidden
+		});
+	}
+	
+	/**
+	 * Store the original data of new entries, and restore it on existing entries, so that the layout can be calculated afresh.
+	 * @protected
+	 */
+	_resetEntries() {
 		for (const entry of this._entries) {
-			if (parseInt(entry.dataset.row) > rows) {
-				rows = parseInt(entry.dataset.row);
+			if (!this._entryData.has(entry)) {
+				this._entryData.set(entry, {...entry.dataset});
+				continue;
+			}
+			
+			const data = this._entryData.get(entry);
+			for (const k of Object.keys(entry.dataset)) {
+				if (!Object.hasOwn(data, k)) delete entry.dataset[k];
 			}
+			Object.assign(entry.dataset, data);
+			entry.classList.remove("min", "preexists", "filtered");
+			entry.style.borderColor = "";
 		}
-
-		const dp = new DiagramPositioner(this._entries, this._config.yearStart, this._config.yearEnd);
-		dp.calculate();
-		rows = dp.rows;
-		this._setConfigProp("rows", rows);
 	}
 	
 	/**
-	 * Set styles for each entry to position them according to calculated row and entry size
+	 * Set the classes, data and position of each entry from the calculated layout.
+	 * Entries which couldn't be placed, e.g. due to an invalid date, are left as they are. Entries hidden by the filter are marked with the class "filtered".
 	 * @protected
 	 */
 	_setEntries() {
-		//Position entries and add additional data
 		for (const entry of this._entries) {
-			entry.style.left = this._yearToWidth(entry.dataset.start) + "px";
-			entry.style.top = this._calcTop(entry) + "px";
-			if (entry.dataset.colour) {
-				entry.style.borderColor = entry.dataset.colour;
+			if (this._hidden.has(entry.id)) entry.classList.add("filtered");
+		}
+		for (const layout of this._result.entries) {
+			const entry = this._entries[layout.index];
+			
+			entry.classList.add("entry");
+			if (layout.preexists) {
+				entry.classList.add("preexists");
+			}
+			
+			//Apply the data as amended by the layout, e.g. the calculated row and end
+			for (const k of Object.keys(entry.dataset)) {
+				if (!Object.hasOwn(layout.data, k)) delete entry.dataset[k];
+			}
+			Object.assign(entry.dataset, layout.data);
+			
+			entry.style.left = layout.x + "px";
+			entry.style.top = layout.y + "px";
+			if (layout.colour) {
+				entry.style.borderColor = layout.colour;
 			}
 			
 			//Style short entries (lasting less time than the box size)
-			if(this._checkSmallEntry(entry) === true) {
+			if (layout.min) {
 				entry.classList.add("min");
 			}
 		}
-		
-		//Adjust spacing for entries that overlap
-		//Accommodates entries that are both the same year
-		//Width needs to be known before nudging, so this has to be separated
-		for (const entry of this._container.querySelectorAll(this._config.entrySelector + '[data-become]')) {
-			if (entry.dataset.start == document.getElementById(entry.dataset.become).dataset.start) {
-				entry.style.left = parseFloat(entry.style.left) - this._config.boxMinWidth/2 + "px";
-				document.getElementById(entry.dataset.become).style.left = parseFloat(document.getElementById(entry.dataset.become).style.left) + this._config.boxMinWidth/2 + "px";
-			}
-		}
 	}
 	
 	/**
 	 * Set styles for each event to correctly position them.
 	 * @protected
+	 * @param {function} [filter] - If given, only events for which this returns true are positioned.
+	 */
+	_setEvents(filter = () => true) {
+		for (const layout of this._result.events) {
+			const event = this._events[layout.index];
+			if (!filter(event)) continue;
+			event.style.left = layout.x + "px";
+			event.style.top = layout.y + "px";
+		}
+	}
+	
+	/**
+	 * Prepare any events not yet prepared, skipping those with an invalid target.
+	 * This must be done before calculating the layout, as the events' sizes are needed to position them.
+	 * @protected
 	 */
-	_setEvents() {
+	_prepareEvents() {
+		const entries = new Map([...this._entries].map(e => [e.id, e]));
 		for (const event of this._events) {
-			if (event.dataset.target && !document.getElementById(event.dataset.target)) {
-				console.warn(`Event has an invalid target – skipping: ${JSON.stringify(event)}`);
-				continue;
-			}
-			
-			let top = this._config.rowHeight - event.offsetHeight;
-			let left = this._yearToWidth(event.dataset.year);
-			
-			//If events overlap
-			const yearEvents = [...this._events].filter(e => {return !e.dataset.target && e.dataset.year == event.dataset.year})
-			if (yearEvents.length > 1 && yearEvents.indexOf(event) !== 0) {
-				top -= event.offsetHeight * 0.5 * yearEvents.indexOf(event);
-			}
-			
-			//Wrap content in a span for easier styling
-			const span = document.createElement("span");
-			span.dataset.year = event.dataset.year; //Allows using value in CSS content on span.
-			span.innerText = event.innerText;
-			event.innerText = "";
-			event.append(span);
-			
-			let colour = null;
-			if (event.dataset.colour) {
-				colour = event.dataset.colour;
+			if (this._preparedEvents.has(event)) continue;
+			if (event.dataset.target && !entries.has(event.dataset.target)) continue;
+			this._prepareEvent(event, entries.get(event.dataset.target));
+		}
+	}
+	
+	/**
+	 * Add the content wrapper and colour styles to an event. This is only done once for each event.
+	 * @protected
+	 * @param {HTMLElement} event
+	 * @param {HTMLElement} [target] - The entry the event targets, if any
+	 */
+	_prepareEvent(event, target) {
+		//Wrap content in a span for easier styling
+		const span = document.createElement("span");
+		span.dataset.year = event.dataset.year; //Allows using value in CSS content on span.
+		span.innerText = event.innerText;
+		event.innerText = "";
+		event.append(span);
+		
+		let colour = null;
+		if (event.dataset.colour) {
+			colour = event.dataset.colour;
+		}
+		if (target && target.dataset.colour) {
+			colour = target.dataset.colour;
+		}
+		
+		if (colour) {
+			const classSafe = `colour-${colour.replace(/[!"#$%&'()*+,./:;<=>?@[\\\]^`{|}~]/g, '')}`;
+			event.classList.add(classSafe);
+			this._addCss([
+				`.event.${classSafe}:after { color: ${colour}; border-color: ${colour} }`,
+				`.event.${classSafe}:hover { color: ${colour} }`
+			]);
+		}
+		this._preparedEvents.add(event);
+	}
+	
+	/**
+	 * Add the roles, labels and tabindex used by keyboard and screen reader users.
+	 * Entries and events are labelled with their dates and relationships, and can be focused. Only one is in the tab order at a time, and the others are reached with the arrow keys (see KeyboardNavigator).
+	 * The dates, guides and connectors are hidden from screen readers, as the labels give the same information.
+	 * @protected
+	 */
+	_setAccessibility() {
+		const container = this._container;
+		container.setAttribute("role", "group");
+		container.setAttribute("aria-roledescription", "timeline");
+		if (!this._original.hasAttribute("aria-label") && !this._original.hasAttribute("aria-labelledby")) {
+			container.setAttribute("aria-label", `Timeline, ${formatYear(this._config.yearStart)} to ${formatYear(this._config.yearEnd)}`);
+		}
+		for (const el of container.querySelectorAll(":scope > .dates, :scope > .guide, :scope > svg, :scope > .group-band, :scope > .lane, :scope > .lane-summary")) {
+			el.setAttribute("aria-hidden", "true");
+		}
+		
+		const nodes = [];
+		
+		//Keep the focus position from before a refresh, if that entry or event is still shown
+		const previous = [...this._entries, ...this._events].find(el => el.getAttribute("tabindex") === "0");
+		
+		//Entries and events which couldn't be placed are left out, as they aren't shown
+		for (const el of [...this._entries, ...this._events]) {
+			for (const attr of [ "role", "aria-roledescription", "aria-label", "tabindex" ]) {
+				el.removeAttribute(attr);
 			}
-			if (event.dataset.target) {
-				const target = document.getElementById(event.dataset.target);
-				top = this._calcTop(target) + ((this._config.boxHeight - event.offsetHeight) * 0.5);
-				left = left - (event.offsetWidth * 0.5);
-				if (target.dataset.colour) {
-					colour = target.dataset.colour;
+		}
+		for (const layout of this._result.entries) {
+			const entry = this._entries[layout.index];
+			entry.setAttribute("role", "img");
+			entry.setAttribute("aria-roledescription", "entry");
+			entry.setAttribute("aria-label", this._describeEntry(this._getEntryDetails(entry, layout)));
+			nodes.push(entry);
+		}
+		for (const layout of this._result.events) {
+			const event = this._events[layout.index];
+			const target = event.dataset.target;
+			event.setAttribute("role", "img");
+			event.setAttribute("aria-roledescription", "event");
+			event.setAttribute("aria-label", `${target ? this._names.get(target) + ", " : ""}${this._formatDate(event.dataset.year)}: ${event.innerText}`);
+			nodes.push(event);
+		}
+		for (const period of this._periods) {
+			period.setAttribute("role", "img");
+			period.setAttribute("aria-roledescription", "period");
+			period.setAttribute("aria-label", `${period.innerText}, ${this._formatDate(period.dataset.start)} to ${this._formatDate(period.dataset.end)}`);
+		}
+		
+		const current = ( nodes.includes(previous) ? previous : nodes[0] );
+		for (const node of nodes) {
+			node.tabIndex = ( node === current ? 0 : -1 );
+		}
+	}
+	
+	/**
+	 * Get the entries which split from, merge with, become or link to each entry.
+	 * @protected
+	 * @return {Map<string, object>} For each entry ID, the IDs of the entries referring to it, by attribute
+	 */
+	_getReverseRelations() {
+		const reverse = new Map(this._result.entries.map(e => [e.id, { split: [], merge: [], become: [], links: [] }]));
+		for (const layout of this._result.entries) {
+			for (const attrib of [ "split", "merge", "become", "links" ]) {
+				if (!layout.data[attrib]) continue;
+				for (const id of layout.data[attrib].split(" ")) {
+					reverse.get(id)?.[attrib].push(layout.id);
 				}
 			}
-			
-			if (colour) {
-				const classSafe = `colour-${colour.replace(/[!"#$%&'()*+,./:;<=>?@[\\\]^`{|}~]/g, '')}`;
-				event.classList.add(classSafe);
-				let c = `.event.${classSafe}:after { color: ${colour}; border-color: ${colour} }`;
-				c += `.event.${classSafe}:hover { color: ${colour} }`;
-				this._addCss(c);
-			}
-			
-			event.style.left = left + "px";
-			event.style.top = top + "px";
 		}
+		return reverse;
+	}
+	
+	/**
+	 * Get the details of an entry as drawn: its name, dates, description and link, the entries before and after it, the entries linked with it, and its events.
+	 * Related entries are given as objects with the entry's id and name, and the relation, e.g. "Splits from". Events are given as their elements, in date order.
+	 * @param {HTMLElement} entry
+	 * @return {object|null} The details, or null if the entry isn't shown in the diagram
+	 */
+	getEntryDetails(entry) {
+		const layout = this._result.entries.find(l => this._entries[l.index] === entry);
+		return ( layout ? this._getEntryDetails(entry, layout) : null );
+	}
+	
+	/**
+	 * Get the details of an entry, from its calculated layout. See getEntryDetails().
+	 * @protected
+	 * @param {HTMLElement} entry
+	 * @param {object} layout
+	 * @return {object}
+	 */
+	_getEntryDetails(entry, layout) {
+		const data = this.entryData(entry);
+		const reverse = this._reverse.get(layout.id);
+		
+		const start = ( layout.preexists ? `before ${formatYear(this._config.yearStart)}` : this._formatDate(data.start) );
+		let dates = `from ${start}`;
+		if (data.end) {
+			dates = `${start} to ${data.endEstimate === "true" ? "about " : ""}${this._formatDate(data.end)}`;
+		} else if (layout.data.become) {
+			dates = `${start} to ${this._formatDate(layout.data.end)}`;
+		}
+		
+		const ids = (attrib) => ( layout.data[attrib] ? layout.data[attrib].split(" ") : [] );
+		const related = (relation, list) => list.map(id => ({ id: id, name: this._names.get(id), relation: relation }));
+		const placed = new Set(this._result.events.map(e => this._events[e.index]));
+		
+		return {
+			id: layout.id,
+			name: entry.innerText,
+			dates: dates,
+			description: data.description ?? null,
+			url: data.url ?? null,
+			before: [ ...related("Splits from", ids("split")), ...related("Previously", reverse.become), ...related("Joined by", reverse.merge) ],
+			after: [ ...related("Becomes", ids("become")), ...related("Merges into", ids("merge")), ...related("Branches", reverse.split) ],
+			links: related("Linked with", [...new Set([ ...ids("links"), ...reverse.links ])]),
+			events: [...this._events]
+				.filter(e => e.dataset.target === layout.id && placed.has(e))
+				.sort((a, b) => parseDate(a.dataset.year) - parseDate(b.dataset.year))
+		};
+	}
+	
+	/**
+	 * Format a date for display, showing BCE years as e.g. "500 BCE". Dates with a month or day are shown as given.
+	 * @protected
+	 * @param {string} date
+	 * @return {string}
+	 */
+	_formatDate(date) {
+		return ( datePrecision(date) === "year" ? formatYear(parseInt(date)) : String(date) );
+	}
+	
+	/**
+	 * Describe an entry for screen readers, with its name, dates and relationships to other entries.
+	 * @protected
+	 * @param {object} details - The entry's details, from getEntryDetails()
+	 * @return {string}
+	 */
+	_describeEntry(details) {
+		const relations = new Map();
+		for (const r of [ ...details.before, ...details.after, ...details.links ]) {
+			relations.set(r.relation, [ ...(relations.get(r.relation) ?? []), r.name ]);
+		}
+		
+		return [
+			`${details.name}, ${details.dates}.`,
+			...[...relations].map(([relation, names]) => `${relation}: ${names.join(", ")}.`)
+		].join(" ");
 	}
 	
 	/**
-	 * Add CSS to inserted header styles. Create the style element if not extant.
+	 * Add CSS rules to the diagram's style element in the document head, scoped to the diagram's container. Create the style element if not extant.
 	 * @protected
-	 * @param {string} css
+	 * @param {string[]} rules - CSS rules, with selectors relative to the container
 	 */
-	_addCss(css) {
-		if (!document.getElementById("tl-styles")) {
-			const s = document.createElement("style");
-			s.id = "tl-styles";
-			s.setAttribute('type', 'text/css');
-			document.head.append(s);
+	_addCss(rules) {
+		if (!this._style) {
+			this._style = document.createElement("style");
+			this._style.dataset.timeline = this._container.id;
+			this._style.setAttribute('type', 'text/css');
+			document.head.append(this._style);
 		}
-		document.getElementById("tl-styles").append(document.createTextNode(css));
+		const scope = `[id="${this._container.id.replace(/["\\]/g, "\\$&")}"]`;
+		this._style.append(document.createTextNode(rules.map(rule => `${scope} ${rule}`).join("")));
 	}
 	
 	/**
-	 * Add the date timelines to top and bottom of the diagram
+	 * Add the date timelines to top and bottom of the diagram (or left and right, if vertical)
 	 * @protected
 	 */
 	_addDates() {
 		const tl = document.createElement("div");
 		tl.classList.add("dates");
 		
-		let y = this._config.yearStart;
-		while(y < this._config.yearEnd) {
+		for (const date of this._result.dates.labels) {
 			const d = document.createElement("date");
-			d.style.left = this._yearToWidth(y) + "px";
-			const t = document.createTextNode(y);
+			this._setPosition(d, { x: date.position });
+			const t = document.createTextNode(date.label);
 			d.append(t);
 			tl.append(d);
-			y = y+5;
 		}
 		this._container.prepend(tl);
 		
-		const tl2 = tl.cloneNode(true);
-		tl2.style.top = (this._config.rows) * this._config.rowHeight + "px";
-		this._container.append(tl2);
+		this._endDates = tl.cloneNode(true);
+		this._positionDates();
+		this._container.append(this._endDates);
+	}
+	
+	/**
+	 * Position the date timeline at the end of the rows.
+	 * @protected
+	 */
+	_positionDates() {
+		if (this._config.orientation === "vertical") {
+			//Vertical dates are absolutely positioned, so aren't offset by the first date line
+			this._endDates.style.left = this._result.dates.end + "px";
+		} else {
+			this._endDates.style.top = this._result.dates.end - this._config.rowHeight + "px";
+		}
 	}
 	
 	/**
@@ -282,21 +789,17 @@ class Diagram {
 	 * @protected
 	 */
 	_addGuides() {
-		let y = this._config.yearStart;
-
-		//Round the end up to the nearest multiple of guideInterval to ensure last guide is placed.
-		while(y < Math.ceil(this._config.yearEnd/this._config.guideInterval)*this._config.guideInterval) {
+		for (const g of this._result.guides) {
 			const guide = document.createElement("div");
 			guide.classList.add("guide");
-			guide.style.left = this._yearToWidth(y) + "px";
-			guide.style.width = this._config.yearWidth * this._config.guideInterval + "px";
+			this._setPosition(guide, { x: g.position });
+			this._setLength(guide, g.length);
 			
-			if(((y - this._config.yearStart) / this._config.guideInterval) % 2 == 1) {
+			if (g.odd) {
 				guide.classList.add("odd");
 			}
 			
 			this._container.append(guide);
-			y = y + this._config.guideInterval;
 		}
 	}
 		
@@ -305,301 +808,290 @@ class Diagram {
 	 */
 	_draw() {
 		for (const entry of this._entries) {
-			
-			const colour = (entry.dataset.colour ? entry.dataset.colour : "var(--tl-colour-stroke)");
-			const dasharray = (entry.dataset.irregular == "true" ? this._config.irregularDashes : "");
-			
-			let endMarker = "";
-			let cssClass = "end";
-			let start = this._getJoinCoords(entry, "right");
-			let end = {
-				x: this._yearToWidth(entry.dataset.end),
-				y: start.y
-			};
-			
-			//Ends without joining another entry
-			if (!Object.hasOwn(entry.dataset, "merge") &&
-				!Object.hasOwn(entry.dataset, "become")
-			) {
-				endMarker = (entry.dataset.endEstimate ? "dots" : "circle");
-			}
-			
-			if (Object.hasOwn(entry.dataset, "become")) { 
-				end = this._getJoinCoords(document.getElementById(entry.dataset.become), 'left');
-				cssClass = "become";
-			}
-			
-			if (Object.hasOwn(entry.dataset, "merge")) {
-				//Special case of one year length and then merging. We need to bump the merge eventnt forward by 1 year to meet an 'end of year' eventnt. Otherwise, it's indistinguishable from a split.
-				if (entry.dataset.start == entry.dataset.end) {
-					end.x += this._config.yearWidth;
-				}
-				
-				const mergePoint = {
-					x: end.x,
-					y: this._getYCentre(document.getElementById(entry.dataset.merge))
-				}
-				
-				//Merged entry's line ends a bit earlier, so as to go diagonally to meet the other entry at the year mark.
-				end.x = end.x - this._config.yearWidth;
-				const merge = SvgConnector.draw({ start: end, end: mergePoint, stroke: this._config.strokeWidth, colour: colour });
-				merge.classList.add("merge");
-				this._container.append(merge);
-				cssClass = "merge";
-			}
-				
-			//Nothing to draw here if entry starts and ends on the same year
-			if (entry.dataset.start !== entry.dataset.end) {
-				const line = SvgConnector.draw({ start: start, end: end, stroke: this._config.strokeWidth, colour: colour, markers: ["", endMarker], dashes: dasharray });
-				line.classList.add(cssClass);
-				this._container.append(line);
-			}
-
-			if (Object.hasOwn(entry.dataset, "split")) {
-				this._drawSplit(entry, colour);
+			this._drawEntry(entry);
+		}
+	}
+	
+	/**
+	 * Draw the lines for a single entry, and those joining it to the entries it splits from, merges with, becomes or links to.
+	 * @protected
+	 * @param {HTMLElement} entry
+	 */
+	_drawEntry(entry) {
+		for (const settings of this._connectorData.get(entry.id) ?? []) {
+			const connector = this._drawConnector(settings);
+			connector.classList.add(settings.type);
+			if (settings.offView) {
+				connector.classList.add("offview");
 			}
-			if (Object.hasOwn(entry.dataset, "links")) {
-				this._drawLinks(entry, colour);
+			//Lines within a group are covered by the group's band when collapsed
+			const group = this._groups.get(entry.id);
+			if (group !== undefined && (settings.target === undefined || this._groups.get(settings.target) === group)) {
+				connector.classList.add("grouped");
 			}
+			this._connectorSettings.set(connector, settings);
+			this._addConnector(entry, connector);
 		}
 	}
 	
 	/**
-	 * Draw splits.
+	 * Draw a band for each group of entries, if collapseGroups is set, replacing any drawn before.
+	 * The bands are hidden by the CSS unless the container has the class "detail-low".
 	 * @protected
-	 * @param {HTMLElement} entry
-	 * @param {string} colour
 	 */
-	_drawSplit(entry, colour) {
-		const source = document.getElementById(entry.dataset.split);
-		
-		let direction = "top";
-		if (parseInt(entry.dataset.row) < parseInt(source.dataset.row)) {
-			direction = "bottom";			
+	_drawGroupBands() {
+		for (const band of this._container.querySelectorAll(":scope > .group-band")) {
+			band.remove();
 		}
+		if (this._config.collapseGroups !== true) return;
 		
-		const start = {
-			x: this._yearToWidth(entry.dataset.start),
-			y: this._getYCentre(source)
+		for (const group of this._result.groups) {
+			const band = document.createElement("div");
+			band.classList.add("group-band");
+			band.dataset.group = group.group;
+			band.innerText = `${group.group} (${group.entries.length})`;
+			band.style.left = group.x + "px";
+			band.style.top = group.y + "px";
+			band.style.width = group.width + "px";
+			band.style.height = group.height + "px";
+			this._container.append(band);
 		}
-		const end = this._getJoinCoords(entry, direction);
-		
-		const line = SvgConnector.draw( { start: start, end: end, stroke: this._config.strokeWidth, colour: colour });
-		
-		line.classList.add("split");
-		this._container.append(line);
 	}
 	
 	/**
-	 * Draw links.
+	 * Draw a lane for each group, if swimlanes is set, replacing any drawn before.
+	 * Each lane has a tinted background (with the class "odd" on every other lane), and a header button showing the group's name and number of entries, to collapse or expand the lane.
+	 * A collapsed lane has the class "collapsed", and a bar with the class "lane-summary" in place of its entries.
+	 * The lanes are added after the guides, to be stacked above them. If a header had the focus, it is kept on the new header for its group.
 	 * @protected
-	 * @param {HTMLElement} entry
-	 * @param {string} colour
 	 */
-	_drawLinks(entry, colour) {
-		const links = entry.dataset.links.split(" ");
-		
-		//Count links drawn on each side, so additional ones can be offset to avoid overlap.
-		let indices = {
-			top: -1,
-			bottom: -1,
-			left: -1,
-			right: -1
+	_drawLanes() {
+		const focused = [...this._lanes].find(([, lane]) => lane.header === document.activeElement);
+		for (const lane of this._lanes.values()) {
+			lane.lane.remove();
+			lane.header.remove();
+			lane.summary?.remove();
 		}
+		this._lanes = new Map();
 		
-		for (const link of links) {
-			const target = document.getElementById(link);
-			let sourceSide, targetSide, start = { x: 0, y: 0}, end = { x: 0, y: 0};
-			
-			const eRow = parseInt(entry.dataset.row);
-			const tRow = parseInt(target.dataset.row);
+		for (const layout of this._result.lanes) {
+			const lane = document.createElement("div");
+			lane.classList.add("lane");
+			lane.classList.toggle("odd", layout.odd);
+			lane.classList.toggle("collapsed", layout.collapsed);
+			lane.dataset.group = layout.group;
+			this._setBox(lane, layout);
 			
-			//Find the direction of the link
-			if (eRow === tRow && entry.dataset.start < target.dataset.start) {
-				indices["right"] = indices["right"]+1;
-				sourceSide = "right";
-				targetSide = "left";
-			}
-			if (eRow === tRow && entry.dataset.start > target.dataset.start) {
-				indices["left"] = indices["left"]+1;
-				sourceSide = "left";
-				targetSide = "right";
-			}
-			if (eRow > tRow) {
-				indices["top"] = indices["top"]+1;
-				sourceSide = "top";
-				targetSide = "bottom";
-			}
-			if (eRow < tRow) {
-				indices["bottom"] = indices["bottom"]+1;
-				sourceSide = "bottom";
-				targetSide = "top";
-			}
-			start = this._getJoinCoords(entry, sourceSide, indices[sourceSide]);
+			const header = document.createElement("button");
+			header.type = "button";
+			header.classList.add("lane-header");
+			header.dataset.group = layout.group;
+			header.innerText = `${layout.group} (${layout.entries.length})`;
+			header.setAttribute("aria-expanded", String(!layout.collapsed));
+			header.setAttribute("aria-label", `${layout.group}, ${layout.entries.length} ${layout.entries.length === 1 ? "entry" : "entries"}`);
+			header.style.left = layout.x + "px";
+			header.style.top = layout.y + "px";
+			this._container.append(lane, header);
+			if (focused && focused[0] === layout.group) header.focus();
 			
-			//Start with vertical line to line case
-			end = {
-				x: start.x,
-				y: this._getYCentre(target)
+			let summary = null;
+			if (layout.summary) {
+				summary = document.createElement("div");
+				summary.classList.add("lane-summary");
+				summary.dataset.group = layout.group;
+				this._setBox(summary, layout.summary);
+				this._container.append(summary);
 			}
-			
-			//If the target doesn't overlap in time with the source (can't be after, as link would be vice versa then)
-			if(entry.dataset.start >= target.dataset.end) {
-				end.x = this._yearToWidth(target.dataset.end);
+			this._lanes.set(layout.group, { lane: lane, header: header, summary: summary });
+		}
+	}
+	
+	/**
+	 * Set the position and size of an element from the calculated layout.
+	 * @protected
+	 * @param {HTMLElement} el
+	 * @param {object} layout - The x, y, width and height
+	 */
+	_setBox(el, layout) {
+		el.style.left = layout.x + "px";
+		el.style.top = layout.y + "px";
+		el.style.width = layout.width + "px";
+		el.style.height = layout.height + "px";
+	}
+	
+	/**
+	 * Position the band of each period, with its label. Periods which can't be shown, e.g. with an invalid date, are given the class "filtered".
+	 * The label is stacked by the period's level, set as the CSS property --tl-period-level, so that the labels of overlapping periods don't overlap.
+	 * @protected
+	 */
+	_drawPeriods() {
+		const placed = new Map(this._result.periods.map(l => [this._periods[l.index], l]));
+		for (const period of this._periods) {
+			if (!this._preparedPeriods.has(period)) {
+				const label = document.createElement("span");
+				label.classList.add("period-label");
+				label.innerText = period.innerText;
+				period.replaceChildren(label);
+				this._preparedPeriods.add(period);
 			}
 			
-			//If the year is the same, link the entry box, not the line
-			if(entry.dataset.start == target.dataset.start) {
-				end = this._getJoinCoords(target, targetSide);
+			const layout = placed.get(period);
+			period.classList.toggle("filtered", !layout);
+			if (!layout) continue;
+			period.style.left = layout.x + "px";
+			period.style.top = layout.y + "px";
+			period.style.width = layout.width + "px";
+			period.style.height = layout.height + "px";
+			period.style.setProperty("--tl-period-level", layout.level);
+			if (layout.colour) {
+				period.style.setProperty("--tl-colour-period", layout.colour);
+			} else {
+				period.style.removeProperty("--tl-colour-period");
 			}
-			
-			const connector = SvgConnector.draw({
-				start: start,
-				end: end,
-				stroke: this._config.strokeWidth/2,
-				colour: colour,
-				markers: ["square", "square"],
-				dashes: this._config.linkDashes
-			});
-			connector.classList.add("link");
-			this._container.append(connector);
 		}
 	}
 	
-	/** Add CSS properties to document root, based on config.
+	/**
+	 * Create the SVG layer for connectors, with a group for each level of connector stacking.
 	 * @protected
 	 */
-	_applyCSSProperties() {
-		const root = document.documentElement;
-		root.style.setProperty('--tl-width-year', this._config.yearWidth + "px");
-		root.style.setProperty('--tl-height-row', this._config.rowHeight + "px");
-		root.style.setProperty('--tl-width-box', this._config.boxWidth + "px");
-		root.style.setProperty('--tl-height-box', this._config.boxHeight + "px");
-		root.style.setProperty('--tl-width-box-min', this._config.boxHeight + "px");
-		root.style.setProperty('--tl-padding', this._config.padding + "px");
+	_createLayer() {
+		this._layer = SvgConnector.createLayer(`${this._container.id}-connectors`);
+		this._layerGroups = {};
+		for (const classes of [ ["split"], ["become", "merge", "end"], ["link"] ]) {
+			const g = document.createElementNS(this._layer.namespaceURI, "g");
+			for (const c of classes) {
+				this._layerGroups[c] = g;
+			}
+			this._layer.append(g);
+		}
+		this._container.append(this._layer);
 	}
 	
 	/**
-	 * Find and return the coordinates where lines should join an element on each side.
-	 * Where multiple lines are meeting an element on one side, specifying the offest number
-	 * allows these to join at different eventnts.
+	 * Draw a connector from the calculated layout.
+	 * Takes the same settings as SvgConnector.draw().
 	 * @protected
-	 * @param {HTMLElement} entry
-	 * @param {string} side - Must be "top", "bottom", "left" or "right"
-	 * @param {number} offset - the number of steps to offset the eventnt (use if multiple lines join an entry on the same side).
-	 * @return {object}
+	 * @param {object} settings
+	 * @return {SVGElement}
 	 */
-	_getJoinCoords(entry, side, offset = 0) {
-		
-		const offsetIncrement = 5;
-		
-		const status = window.getComputedStyle(entry);
-		
-		const l = parseFloat(entry.style.left);
-		const t = parseFloat(entry.style.top);
-		const w = parseFloat(status.getPropertyValue('width'));
-		const h = parseFloat(status.getPropertyValue('height'));
-		
-		switch(side) {
-			case 'left':
-				return {
-					x: l,
-					y: t + h/2 + (offset * offsetIncrement)
-				};
-			case 'right':
-				return {
-					x: l + w,
-					y: t + h/2 + (offset * offsetIncrement)
-				};
-			case 'top':
-				return {
-					x: l + w/2 + (offset * offsetIncrement),
-					y: t
-				};
-			case 'bottom':
-				return {
-					x: l + w/2 + (offset * offsetIncrement),
-					y: t + h
-				};
-			default:
-				throw `Invalid element side specified: Called with ${side}. Entry: ${entry}`;
-		}
-	}
-	
-	/**
-	 * Return the end date for an entry, whether explicitly set or not.
+	_drawConnector(settings) {
+		if (this._layer) {
+			return SvgConnector.drawPath(settings, this._layer);
+		}
+		return SvgConnector.draw(settings);
+	}
+	
+	/**
+	 * Add a connector drawn for the given entry to the diagram.
+	 * If using a connector layer, the connector's class must be set first, to add it to the right group.
 	 * @protected
 	 * @param {HTMLElement} entry
-	 * @return {number}
+	 * @param {SVGElement} connector
 	 */
-	_calcEnd(entry) {
-		if (entry.dataset.end) {
-			return parseInt(entry.dataset.end);
+	_addConnector(entry, connector) {
+		if (!this._connectors.has(entry.id)) {
+			this._connectors.set(entry.id, []);
 		}
-		
-		if (entry.dataset.become) {
-			return parseInt(document.getElementById(entry.dataset.become).dataset.start);
+		this._connectors.get(entry.id).push(connector);
+		if (this._layer) {
+			this._layerGroups[connector.classList[0]].append(connector);
+		} else {
+			this._container.append(connector);
 		}
-		
-		return parseInt(this._config.yearEnd);
 	}
 	
 	/**
-	 * Calculate the absolute top position in px.
+	 * Remove all connectors drawn for the entry with the given ID.
 	 * @protected
-	 * @param {HTMLElement} entry
-	 * @return {number}
+	 * @param {string} id
 	 */
-	_calcTop(entry) {
-		//Add 1 to row due to 0 index.
-		return parseInt((parseInt(entry.dataset.row) +1) * this._config.rowHeight + this._config.padding)
+	_removeConnectors(id) {
+		for (const connector of this._connectors.get(id) ?? []) {
+			connector.remove();
+		}
+		this._connectors.delete(id);
 	}
-
+	
+	/** Add CSS properties to the container, based on config.
+	 * These are set on the container rather than the document, so that diagrams on the same page can have different sizes.
+	 * @protected
+	 */
+	_applyCSSProperties() {
+		const properties = {
+			'--tl-width-year': this._config.yearWidth + "px",
+			'--tl-height-row': this._config.rowHeight + "px",
+			'--tl-width-box': this._config.boxWidth + "px",
+			'--tl-height-box': this._config.boxHeight + "px",
+			'--tl-width-box-min': this._config.boxHeight + "px",
+			'--tl-padding': this._config.padding + "px"
+		};
+		for (const [prop, value] of Object.entries(properties)) {
+			this._container.style.setProperty(prop, value);
+		}
+	}
+	
 	/**
-	 * Check if an entry should be small on the graph (too brief to fit full box size)
+	 * Convert coordinates between the diagram's axes and the page's x and y axes.
+	 * Diagram coordinates have the time axis as x and the rows as y. If vertical, these are swapped on the page.
 	 * @protected
-	 * @param {HTMLElement} entry
-	 * @return {boolean}
+	 * @param {object} coords
+	 * @param {number} [coords.x]
+	 * @param {number} [coords.y]
+	 * @return {object}
 	 */
-	_checkSmallEntry(entry) {
-		const start = entry.dataset.start;
-		const end = entry.dataset.end;
-		
-		if ((end - start) < (this._config.boxWidth/this._config.yearWidth)) {
-			return true;
-		} else {
-			return false;
+	_orient(coords) {
+		if (this._config.orientation === "vertical") {
+			return { x: coords.y, y: coords.x };
 		}
+		return { x: coords.x, y: coords.y };
 	}
 	
 	/**
-	 * Get the X-axis centre of an entry box.
+	 * Position an element at the given diagram coordinates. Either coordinate can be omitted to leave it unchanged.
 	 * @protected
-	 * @param {HTMLElement} entry
-	 * @return {number}
+	 * @param {HTMLElement} el
+	 * @param {object} coords - The position along the time axis (x) and across the rows (y)
+	 * @param {number} [coords.x]
+	 * @param {number} [coords.y]
 	 */
-	_getXCentre(entry) {
-		return parseFloat(entry.style.left) + (this._config.boxWidth/2);
+	_setPosition(el, coords) {
+		const pos = this._orient(coords);
+		if (pos.x !== undefined) el.style.left = pos.x + "px";
+		if (pos.y !== undefined) el.style.top = pos.y + "px";
 	}
 	
 	/**
-	 * Get the Y-axis centre of an entry box.
+	 * Set the length of an element along the time axis.
 	 * @protected
-	 * @param {HTMLElement} entry
+	 * @param {HTMLElement} el
+	 * @param {number} length
+	 */
+	_setLength(el, length) {
+		if (this._config.orientation === "vertical") {
+			el.style.height = length + "px";
+		} else {
+			el.style.width = length + "px";
+		}
+	}
+	
+	/**
+	 * Get the width in px of the diagram at the point sepecified by a particular year or date.
+	 * @param {number|string} year - A year, or an ISO 8601 date (YYYY, YYYY-MM or YYYY-MM-DD)
 	 * @return {number}
 	 */
-	_getYCentre(entry) {
-		return parseFloat(entry.style.top) + (this._config.boxHeight/2);
+	yearToWidth(year) {
+		return this._layout.yearToWidth(year);
 	}
 	
 	/**
-	 * Get the width in px of the diagram at the eventnt sepecified by a particular year.
-	 * @param {number} year
-	 * @protected
+	 * Get the year at a point in the diagram. See Layout.widthToYear().
+	 * @param {number} width - The position in px along the time axis
+	 * @param {string} [round = floor] - "floor" or "ceil"
 	 * @return {number}
 	 */
-	_yearToWidth(year) {
-		return parseInt((year - this._config.yearStart) * this._config.yearWidth);
+	widthToYear(width, round = "floor") {
+		return this._layout.widthToYear(width, round);
 	}
 }
 
@@ -1,22 +1,33 @@
+import {parseDate, datePrecision} from './util.js';
+
 /**
- * @typedef {boolean[]} GridRow
+ * @typedef {number[][]} GridRow
+ * The used spaces in a row, as sorted and separate [start, end) pairs, in years from the start of the timeline
  * 
  * @typedef {GridRow[]} DiagramGrid
- * A two-dimensional array of boolean values, used as a grid to represent space in the diagram
+ * A list of rows, used as a grid to represent space in the diagram
  */
 
 class DiagramPositioner {
 	
 	/**
-	 * @param {NodeList} entries - The timeline entries.
+	 * @param {object[]} entries - The timeline entries, as plain objects with the same properties as an entry's dataset, and its id.
 	 * @param {number} start - The first year of the timeline.
 	 * @param {number} end - The last year of the timeline.
+	 * @param {string} [strategy = basic] - "basic" to place each entry in the first space found, or "min-crossings" to then reorder the rows to reduce crossing lines.
+	 * @param {boolean} [lanes = false] - If true, each group has rows of its own (for swimlanes), and ungrouped entries are placed in the rows after all the groups.
+	 * 								Otherwise, groups can share rows where their entries don't overlap.
 	 */
-	constructor(entries, start, end) {
+	constructor(entries, start, end, strategy = "basic", lanes = false) {
 		this._entries = entries;
+		this._ids = new Map(entries.map(e => [e.id, e]));
+		this._strategy = strategy;
+		this._lanes = lanes;
+		this._manualRows = new Set(entries.filter(e => e.row !== undefined).map(e => parseInt(e.row)));
 		this._start = start;
 		this._end = end;
-		this._xLength = end - start;
+		this._resolution = this._getResolution(entries);
+		this._length = parseDate(end) - parseDate(start);
 		this._grid = this._createGrid(entries);
 		this._groups = this._listGroups(entries)
 		
@@ -31,8 +42,8 @@ class DiagramPositioner {
 	 * Calculate the entry rows.
 	 */
 	calculate() {
-		const grouped = [...this._entries].filter(e => e.dataset.group);
-		const ungrouped = [...this._entries].filter(e => !e.dataset.group);
+		const grouped = [...this._entries].filter(e => e.group);
+		const ungrouped = [...this._entries].filter(e => !e.group);
 		this._groupRange = {};
 		for (const entry of grouped) {
 			this._setEntryRow(entry, true);
@@ -40,31 +51,32 @@ class DiagramPositioner {
 		
 		let increment = 0;
 		this._groups.forEach((group, i) => {
-			const entries = [...this._entries].filter(e => e.dataset.group == group);
-			if (i != 0) {
+			const entries = [...this._entries].filter(e => e.group == group);
+			if (i != 0 && !this._lanes) {
 				const prevGrid = this._groupGrids[this._groups[i-1]];
 				const overlap = this._getGridOverlap(prevGrid, this._groupGrids[group]);
 				increment -= overlap;
 			}
 			for (const entry of entries) {
-				entry.dataset.row = parseInt(entry.dataset.groupRow) + increment;
+				entry.row = parseInt(entry.groupRow) + increment;
 			}
 			this._groupRange[group] = [ increment, increment + this._groupGrids[group].length ];
 			
 			increment += this._groupGrids[group].length;
 		});
+		this._groupsEnd = increment;
 		
 		const rowCount = this._getRowCount(this._entries);
 		this._addGridRowsUntil(this._grid, rowCount);
 		
 		//Block all used spaces before proceeding.
-		for (const entry of [...this._entries].filter(e => e.dataset.row)) {
-			this._blockGridSpace(entry.dataset.row, this._yearToGrid(entry.dataset.start), this._yearToGrid(entry.dataset.end), this._grid);
+		for (const entry of [...this._entries].filter(e => e.row !== undefined)) {
+			this._blockGridSpace(entry.row, this._yearToGrid(entry.start), this._yearToGrid(entry.end), this._grid);
 		}
 		
 		for (const entry of grouped) {
 			//Adjust connections that cross between groups
-			if (entry.dataset.split || entry.dataset.merge) {
+			if (entry.split || entry.merge) {
 				this._adjustConnectedEntry(entry);
 			}
 		}
@@ -73,6 +85,10 @@ class DiagramPositioner {
 		for (const entry of ungrouped) {
 			this._setEntryRow(entry);
 		}
+		
+		if (this._strategy === "min-crossings") {
+			this._optimiseRows();
+		}
 	}
 	
 	/**
@@ -83,19 +99,32 @@ class DiagramPositioner {
 		return this._grid.length;
 	}
 	
+	/**
+	 * Remove the rows without any entries, moving the entries in later rows up to close the gaps.
+	 * This should be called after calculate(), e.g. when some entries have been left out of the diagram.
+	 */
+	removeEmptyRows() {
+		const used = [...new Set(this._entries.map(e => parseInt(e.row)))].sort((a, b) => a - b);
+		const rows = new Map(used.map((row, i) => [row, i]));
+		for (const entry of this._entries) {
+			entry.row = rows.get(parseInt(entry.row));
+		}
+		this._grid = used.map(row => this._grid[row]);
+	}
+	
 	/****************************************************************
 	 * Entry methods.
 	 */
 	
 	/**
 	 * Get a list of all groups in the given entries.
-	 * @param {NodeList} entries
+	 * @param {object[]} entries
 	 * @return {Object}
 	 */
 	_listGroups(entries) {
 		return [...entries].reduce( (result, e) => { 
-			if (e.dataset.group && !result.includes(e.dataset.group)) {
-				result.push(e.dataset.group);
+			if (e.group && !result.includes(e.group)) {
+				result.push(e.group);
 			}
 			return result },
 			[]);
@@ -103,22 +132,24 @@ class DiagramPositioner {
 	
 	/**
 	 * Adjust the position of the entry if it splits from or merges with an entry in a different group.
-	 * @param {HTMLElement} entry
+	 * @param {object} entry
 	 */
 	_adjustConnectedEntry(entry) {
-		const targetID = ( entry.dataset.split ? entry.dataset.split : entry.dataset.merge );
-		const targetEl = document.getElementById(targetID);
-		if (targetEl.dataset.group !== entry.dataset.group) {
-			let targetRow = ( targetEl.dataset.row - entry.dataset.row > 0 ? this._groupRange[entry.dataset.group][1] : this._groupRange[entry.dataset.group][0] );
+		const targetID = ( entry.split ? entry.split : entry.merge );
+		const targetEl = this._ids.get(targetID);
+		if (targetEl.group !== entry.group) {
+			//The end of the range is the row after the group, which may be shared with the next group unless using lanes
+			const last = this._groupRange[entry.group][1] - ( this._lanes ? 1 : 0 );
+			let targetRow = ( targetEl.row - entry.row > 0 ? last : this._groupRange[entry.group][0] );
 			
-			const newRow = this._checkGridRange(targetRow, entry.dataset.row, this._yearToGrid(entry.dataset.start), this._yearToGrid(this._calcLineEnd(entry)), this._grid);
+			const newRow = this._checkGridRange(targetRow, entry.row, this._yearToGrid(entry.start), this._yearToGrid(this._calcLineEnd(entry)), this._grid);
 			if (newRow !== undefined) {
 				this._moveEntry(entry, newRow);
 				
-				const linked = [...this._entries].filter(e => e.dataset.split == entry.id || e.dataset.merge == entry.id);
+				const linked = [...this._entries].filter(e => e.split == entry.id || e.merge == entry.id);
 				for (const link of linked) {
-					if (link.dataset.group == entry.dataset.group) {
-						const move = this._checkGridRange(entry.dataset.row, link.dataset.row, this._yearToGrid(link.dataset.start), this._yearToGrid(this._calcLineEnd(link)), this._grid);
+					if (link.group == entry.group) {
+						const move = this._checkGridRange(entry.row, link.row, this._yearToGrid(link.start), this._yearToGrid(this._calcLineEnd(link)), this._grid);
 						if (move !== undefined) {
 							this._moveEntry(link, move);
 						}
@@ -131,60 +162,60 @@ class DiagramPositioner {
 	
 	/**
 	 * Move an entry to a new row.
-	 * @param {HTMLElement} entry
+	 * @param {object} entry
 	 * @param {number} row
 	 */
 	_moveEntry(entry, row) {
-		const s = this._yearToGrid(entry.dataset.start);
+		const s = this._yearToGrid(entry.start);
 		const e = this._yearToGrid(this._calcLineEnd(entry));
-		this._freeGridSpace(entry.dataset.row, s, e, this._grid);
-		entry.dataset.row = row;
+		this._freeGridSpace(entry.row, s, e, this._grid);
+		entry.row = row;
 		this._setLineRow(entry, "row", this._grid);
-		this._blockGridSpace(entry.dataset.row, s, e, this._grid);
+		this._blockGridSpace(entry.row, s, e, this._grid);
 	}
 	
 	/**
 	 * Set a row for the provided entry in the given grid.
-	 * @param {HTMLElement} entry
+	 * @param {object} entry
 	 * @param {boolean} [group = false] If true, the entry's position within it's group section will be set.
 	 */
 	_setEntryRow(entry, group = false) {
 		let grid = this._grid;
 		let rowProp = "row";
 		if (group) {
-			if (!entry.dataset.group) return;
-			grid = this._groupGrids[entry.dataset.group];
+			if (!entry.group) return;
+			grid = this._groupGrids[entry.group];
 			rowProp = "groupRow";
 		}
 		
-		if (entry.dataset[rowProp]) return;
+		if (entry[rowProp] !== undefined) return;
 		
-		const start = this._yearToGrid(entry.dataset.start);
+		const start = this._yearToGrid(entry.start);
 		const end = this._yearToGrid(this._calcLineEnd(entry));
 		let seek = null, near = null;
 		
-		if (entry.dataset.split) {
-			seek = document.getElementById(entry.dataset.split);
+		if (entry.split) {
+			seek = this._ids.get(entry.split);
 		}
 		
-		if (entry.dataset.merge) {
-			const mergeEl = document.getElementById(entry.dataset.merge);
+		if (entry.merge) {
+			const mergeEl = this._ids.get(entry.merge);
 			
 			//Prevent infinite recursion if merging with an entry which split from this one
-			if(mergeEl.dataset.split !== entry.id) {
+			if(mergeEl.split !== entry.id) {
 				seek = mergeEl;
 			}
 		}
 		
-		if (seek && (!group || seek.dataset.group == entry.dataset.group)) {
-			if (!Object.hasOwn(seek.dataset, rowProp)) {
+		if (seek && (!group || seek.group == entry.group)) {
+			if (!Object.hasOwn(seek, rowProp)) {
 				this._setEntryRow(seek, group);
 			}
-			near = parseInt(seek.dataset[rowProp]);
+			near = parseInt(seek[rowProp]);
 		}
 		
-		const row = this._findGridSpace(start, end, grid, near);
-		entry.dataset[rowProp] = row;
+		const row = this._findGridSpace(start, end, grid, near, ( this._lanes && !group ? this._groupsEnd : 0 ));
+		entry[rowProp] = row;
 		this._setLineRow(entry, rowProp, grid);
 		try {
 			this._blockGridSpace(row, start, end, grid);
@@ -196,22 +227,22 @@ class DiagramPositioner {
 	/**
 	 * Set the row on entries in line with the current entry.
 	 * @protected
-	 * @param {HTMLElement} entry
+	 * @param {object} entry
 	 * @param {string} rowProp
 	 * @param {DiagramGrid} grid
 	 */
 	_setLineRow(entry, rowProp, grid) {	
-		if (entry.dataset.become) {
-			const next = document.getElementById(entry.dataset.become);
-			if (entry.dataset.group !== next.dataset.group) {
-				console.warn(`${entry.id} and ${next.id} are directly connected but in separate groups. Amending ${next.id} to ${entry.dataset.group}`);
-				next.dataset.group = entry.dataset.group;
+		if (entry.become) {
+			const next = this._ids.get(entry.become);
+			if (entry.group !== next.group) {
+				console.warn(`${entry.id} and ${next.id} are directly connected but in separate groups. Amending ${next.id} to ${entry.group}`);
+				next.group = entry.group;
 			}
 			
-			if(Object.hasOwn(next.dataset, rowProp)) {
-				this._freeGridSpace(next.dataset[rowProp], this._yearToGrid(next.dataset.start), this._yearToGrid(next.dataset.end), grid);
+			if(Object.hasOwn(next, rowProp)) {
+				this._freeGridSpace(next[rowProp], this._yearToGrid(next.start), this._yearToGrid(next.end), grid);
 			}
-			next.dataset[rowProp] = entry.dataset[rowProp];
+			next[rowProp] = entry[rowProp];
 			this._setLineRow(next, rowProp, grid);
 		}
 	}
@@ -219,21 +250,283 @@ class DiagramPositioner {
 	/**
 	 * Calculate the end year of an entry's line (i.e. the end of the last entry to which it directly joins).
 	 * @protected
-	 * @param {HTMLElement} entry
+	 * @param {object} entry
 	 * @return {number}
 	 */
 	_calcLineEnd(entry) {
-		let end = entry.dataset.end;
-		if (entry.dataset.become) {
-			end = this._calcLineEnd(document.getElementById(entry.dataset.become));			
+		let end = entry.end;
+		if (entry.become) {
+			end = this._calcLineEnd(this._ids.get(entry.become));			
 		}
 		return end;
 	}
 	
+	/****************************************************************
+	 * Row ordering methods.
+	 */
+	
+	/**
+	 * Reorder the rows to reduce the number of lines crossing other entries, and the total length of the lines.
+	 * Whole rows are swapped, so entries can't overlap. Rows with manually set entries stay in place, and rows with grouped entries stay within the rows their group already uses.
+	 * @protected
+	 */
+	_optimiseRows() {
+		const ranges = this._getRowRanges();
+		const connections = this._listConnections();
+		const spans = this._getRowSpans();
+		for (const c of connections) {
+			c.crosses = Uint8Array.from(spans, s => this._crossesEntry(s, c.x));
+		}
+		const joined = this._grid.map((r, row) => connections.filter(c => c.rows.includes(row)));
+		
+		//order[position] is the row now at that position
+		const order = [...this._grid.keys()];
+		const positions = this._getRowPositions(order);
+		let passing = this._listPassingConnections(positions, connections);
+		
+		let improved = true;
+		for (let pass = 0; improved && pass < 20; pass++) {
+			improved = false;
+			for (let i = 0; i < order.length; i++) {
+				for (let j = i + 1; j < order.length; j++) {
+					if (!this._canSwapRows(order, ranges, i, j)) continue;
+					
+					if (this._getSwapCost(order, positions, joined, passing, i, j) < 0) {
+						this._swapRows(order, positions, i, j);
+						passing = this._listPassingConnections(positions, connections);
+						improved = true;
+					}
+				}
+			}
+		}
+		
+		for (const entry of this._entries) {
+			entry.row = positions[parseInt(entry.row)];
+		}
+		this._grid = order.map(row => this._grid[row]);
+	}
+	
+	/**
+	 * Get the range of positions each row can be moved to.
+	 * @protected
+	 * @return {number[][]} The first and last position for each row
+	 */
+	_getRowRanges() {
+		const groupRows = {};
+		for (const entry of this._entries.filter(e => e.group)) {
+			const row = parseInt(entry.row);
+			const range = groupRows[entry.group] ?? [ row, row ];
+			groupRows[entry.group] = [ Math.min(range[0], row), Math.max(range[1], row) ];
+		}
+		
+		//With lanes, the rows of the groups and the ungrouped rows after them stay apart
+		const first = ( this._lanes ? this._groupsEnd : 0 );
+		const ranges = this._grid.map((r, row) => {
+			if (this._manualRows.has(row)) return [ row, row ];
+			return ( row < first ? [ 0, first - 1 ] : [ first, this._grid.length - 1 ] );
+		});
+		for (const entry of this._entries.filter(e => e.group)) {
+			const row = parseInt(entry.row);
+			const group = groupRows[entry.group];
+			ranges[row] = [ Math.max(ranges[row][0], group[0]), Math.min(ranges[row][1], group[1]) ];
+			
+			//Rows shared by groups with no common range can't move
+			if (ranges[row][0] > ranges[row][1]) {
+				ranges[row] = [ row, row ];
+			}
+		}
+		return ranges;
+	}
+	
+	/**
+	 * List the rows joined by each split, merge and link, and the grid X number where the line crosses between rows.
+	 * @protected
+	 * @return {object[]}
+	 */
+	_listConnections() {
+		const connections = [];
+		for (const entry of this._entries) {
+			const row = parseInt(entry.row);
+			if (entry.split) {
+				connections.push({ rows: [ row, parseInt(this._ids.get(entry.split).row) ], x: this._yearToGrid(entry.start) });
+			}
+			if (entry.merge) {
+				connections.push({ rows: [ row, parseInt(this._ids.get(entry.merge).row) ], x: this._yearToGrid(entry.end) });
+			}
+			if (entry.links) {
+				for (const link of entry.links.split(" ").map(id => this._ids.get(id))) {
+					const start = ( parseDate(link.start) > parseDate(entry.start) ? link.start : entry.start );
+					connections.push({ rows: [ row, parseInt(link.row) ], x: this._yearToGrid(start) });
+				}
+			}
+		}
+		return connections;
+	}
+	
+	/**
+	 * Get the time taken up by the entries in each row, as [start, end) pairs in grid X numbers.
+	 * Unlike the grid, this doesn't include the space kept free around each entry. Entries starting and ending on the same date take up the least space an entry can.
+	 * @protected
+	 * @return {number[][][]}
+	 */
+	_getRowSpans() {
+		const spans = this._grid.map(() => []);
+		for (const entry of this._entries) {
+			const start = this._yearToGrid(entry.start);
+			spans[parseInt(entry.row)].push([ start, Math.max(this._yearToGrid(entry.end), start + 1/this._resolution) ]);
+		}
+		return spans;
+	}
+	
+	/**
+	 * List the connections passing each position, i.e. between the rows they join.
+	 * @protected
+	 * @param {number[]} positions
+	 * @param {object[]} connections
+	 * @return {object[][]}
+	 */
+	_listPassingConnections(positions, connections) {
+		const passing = this._grid.map(() => []);
+		for (const c of connections) {
+			const [ a, b ] = [ positions[c.rows[0]], positions[c.rows[1]] ].sort((x, y) => x - y);
+			for (let p = a + 1; p < b; p++) {
+				passing[p].push(c);
+			}
+		}
+		return passing;
+	}
+	
+	/**
+	 * Calculate the cost of a connection in an order of rows. Each entry the line crosses costs more than the maximum length of a line, so crossings are reduced first.
+	 * @protected
+	 * @param {object} connection - With crosses set to whether the line crosses an entry in each row
+	 * @param {number[]} order
+	 * @param {number[]} positions
+	 * @return {number}
+	 */
+	_getConnectionCost(connection, order, positions) {
+		const [ a, b ] = [ positions[connection.rows[0]], positions[connection.rows[1]] ].sort((x, y) => x - y);
+		let cost = b - a;
+		for (let p = a + 1; p < b; p++) {
+			cost += connection.crosses[order[p]] * order.length;
+		}
+		return cost;
+	}
+	
+	/**
+	 * Calculate the change in cost from swapping the rows at positions i and j.
+	 * Only the connections joining either row, or passing either position, are affected.
+	 * @protected
+	 * @param {number[]} order
+	 * @param {number[]} positions
+	 * @param {object[][]} joined - The connections joining each row
+	 * @param {object[][]} passing - The connections passing each position
+	 * @param {number} i
+	 * @param {number} j
+	 * @return {number}
+	 */
+	_getSwapCost(order, positions, joined, passing, i, j) {
+		const [ rowI, rowJ ] = [ order[i], order[j] ];
+		const isMoved = (c) => c.rows.includes(rowI) || c.rows.includes(rowJ);
+		const moved = [ ...joined[rowI], ...joined[rowJ].filter(c => !c.rows.includes(rowI)) ];
+		let cost = 0;
+		
+		//Connections joining the swapped rows change in length, and in the rows they pass
+		for (const c of moved) {
+			cost -= this._getConnectionCost(c, order, positions);
+		}
+		this._swapRows(order, positions, i, j);
+		for (const c of moved) {
+			cost += this._getConnectionCost(c, order, positions);
+		}
+		this._swapRows(order, positions, i, j);
+		
+		//Other connections only change in whether they cross an entry at the swapped positions
+		for (const [ p, from, to ] of [ [ i, rowI, rowJ ], [ j, rowJ, rowI ] ]) {
+			for (const c of passing[p]) {
+				if (!isMoved(c)) {
+					cost += (c.crosses[to] - c.crosses[from]) * order.length;
+				}
+			}
+		}
+		return cost;
+	}
+	
+	/**
+	 * Swap the rows at positions i and j.
+	 * @protected
+	 * @param {number[]} order
+	 * @param {number[]} positions
+	 * @param {number} i
+	 * @param {number} j
+	 */
+	_swapRows(order, positions, i, j) {
+		[ order[i], order[j] ] = [ order[j], order[i] ];
+		positions[order[i]] = i;
+		positions[order[j]] = j;
+	}
+	
+	/**
+	 * Check if a line at grid X number x crosses any of the given entry spans.
+	 * @protected
+	 * @param {number[][]} spans
+	 * @param {number} x
+	 * @return {boolean}
+	 */
+	_crossesEntry(spans, x) {
+		return spans.some(span => span[0] <= x && x < span[1]);
+	}
+	
+	/**
+	 * Get the position of each row in the given order.
+	 * @protected
+	 * @param {number[]} order
+	 * @return {number[]}
+	 */
+	_getRowPositions(order) {
+		const positions = [];
+		order.forEach((row, p) => { positions[row] = p; });
+		return positions;
+	}
+	
+	/**
+	 * Check if the rows at positions i and j can be swapped, according to their ranges.
+	 * @protected
+	 * @param {number[]} order
+	 * @param {number[][]} ranges
+	 * @param {number} i
+	 * @param {number} j
+	 * @return {boolean}
+	 */
+	_canSwapRows(order, ranges, i, j) {
+		const a = ranges[order[i]];
+		const b = ranges[order[j]];
+		return a[0] <= j && j <= a[1] && b[0] <= i && i <= b[1];
+	}
+	
 	/****************************************************************
 	 * Grid methods.
 	 */
 	
+	/**
+	 * Get the number of steps in each year, according to the most precise date given in the entries. This is the least space an entry takes up.
+	 * Years have one step, months have 12 and days have 366.
+	 * @protected
+	 * @param {object[]} entries
+	 * @return {number}
+	 */
+	_getResolution(entries) {
+		const resolutions = { year: 1, month: 12, day: 366 };
+		let resolution = 1;
+		for (const entry of entries) {
+			for (const date of [ entry.start, entry.end ]) {
+				if (date === undefined) continue;
+				resolution = Math.max(resolution, resolutions[datePrecision(date)]);
+			}
+		}
+		return resolution;
+	}
+	
 	/**
 	 * Compare the grids to see how much they can overlap without clashing entry positions.
 	 * @param {DiagramGrid} grid1
@@ -261,30 +554,25 @@ class DiagramPositioner {
 	/**
 	 * Create a grid.
 	 * If entries is set, the grid will grow to meet the number of fixed rows already set.
-	 * @param {NodeList|null} [entries = null] 
+	 * @param {object[]|null} [entries = null] 
 	 * @return {DiagramGrid}
 	 */
 	_createGrid(entries = null) {
 		let rows = 1;
-		let setRows = [];
 		if (entries) {
 			rows = this._getRowCount(entries);
 		}
-		let grid = Array.from(Array(rows), () => new Array(this._xLength).fill(false));
-		for (const entry of setRows) {
-			grid = this._blockGridSpace(entry.dataset.row, this._yearToGrid(entry.start), this._yearToGrid(entry.end), grid);
-		}
-		return grid;
+		return Array.from(Array(rows), () => []);
 	}
 	
 	/**
 	 * Return the number of row needed to accommodate the rows set in the given list of entries.
-	 * @param {NodeList} entries
+	 * @param {object[]} entries
 	 * @return {number}
 	 */
 	_getRowCount(entries) {
-		const setRows = [...entries].filter(e => e.dataset.row);
-		return ( setRows.length > 0 ? Math.max(...setRows.map(e => parseInt(e.dataset.row))) + 1 : 1);
+		const setRows = [...entries].filter(e => e.row !== undefined);
+		return ( setRows.length > 0 ? Math.max(...setRows.map(e => parseInt(e.row))) + 1 : 1);
 	}
 	
 	/**
@@ -295,15 +583,16 @@ class DiagramPositioner {
 	 * @param {number} end
 	 * @param {DiagramGrid} grid
 	 * @param {number} near Find the nearest row to this row number
+	 * @param {number} [min = 0] The first row that can be used
 	 * @return {number}
 	 */
-	_findGridSpace(start, end, grid, near = null) {
-		let test = ( near ? near : Math.floor(grid.length/2));
+	_findGridSpace(start, end, grid, near = null, min = 0) {
+		let test = Math.max(( near ? near : Math.floor((grid.length + min)/2) ), min);
 		let above = false;
 		
 		for (let i = 0; i < grid.length; i++) {
 			test = ( above ? test - i : test + i );
-			if (test < 0 || test > grid.length - 1) {
+			if (test < min || test > grid.length - 1) {
 				continue;
 			}
 			if (this._checkGridSpace(test, start, end, grid)) {
@@ -311,17 +600,27 @@ class DiagramPositioner {
 			}
 			above = !above;
 		}
+		
+		//The search can pass the first row that can be used and miss the rows after it, so check these in order
+		if (min > 0) {
+			for (let row = min; row < grid.length; row++) {
+				if (this._checkGridSpace(row, start, end, grid)) return row;
+			}
+		}
+		while (grid.length < min) {
+			this._addGridRow(grid);
+		}
 		this._addGridRow(grid);
 		return grid.length - 1;
 	}
 	
 	/**
-	 * Provide the grid X number for a given year
-	 * @param {number} year
+	 * Provide the grid position for a given year or date, in years from the start of the timeline
+	 * @param {number|string} year
 	 * @return {number}
 	 */
 	_yearToGrid(year) {
-		return parseInt(year) - parseInt(this._start);
+		return parseDate(year) - parseDate(this._start);
 	}
 	
 	/**
@@ -343,7 +642,7 @@ class DiagramPositioner {
 	 * @return {DiagramGrid}
 	 */
 	_addGridRow(grid) {
-		grid.push(new Array(this._xLength).fill(false));
+		grid.push([]);
 		return grid;
 	}
 	
@@ -378,11 +677,9 @@ class DiagramPositioner {
 	_checkGridSpace(y, start, end, grid) {
 		//In most instances, we don't want to extend to the end of the "end" year, but to the start. So that, e.g. we can join with another entry starting on that year and not overlap.  However, entries with the same start and end must take up some space.
 		if (start === end) {
-			end += 1;
+			end += 1 / this._resolution;
 		}
-		const part = grid[y].slice(start, end);
-		let result = part.every( e => e === false);
-		return result;
+		return !grid[y].some(used => used[0] < end && start < used[1]);
 	}
 	
 	/**
@@ -425,20 +722,28 @@ class DiagramPositioner {
 		if (!grid[y]) {
 			throw new Error(`Attempt to mark non-existent grid row ${y}. Grid has length ${grid.length}`);
 		}
-				
-		let n = 0;
-		while (n < (end - start)) {
-			grid[y][start+n] = state;
-			n++;
-		}
 		
-		//Mark space either end to keep entries from joining, if available
-		if (start > 0) {
-			grid[y][start-1] = state;
+		//Mark a year's space either end to keep entries from joining, if available (up to the last step of the timeline)
+		let from = Math.max(start - 1, 0);
+		let to = Math.max(end, Math.min(end + 1, this._length - 1 / this._resolution));
+		
+		const row = [];
+		for (const used of grid[y]) {
+			if (used[1] < from || used[0] > to) {
+				row.push(used);
+			} else if (!state) {
+				//Keep the parts outside the space freed
+				if (used[0] < from) row.push([ used[0], from ]);
+				if (used[1] > to) row.push([ to, used[1] ]);
+			} else {
+				//Join up the spaces used
+				[ from, to ] = [ Math.min(from, used[0]), Math.max(to, used[1]) ];
+			}
 		}
-		if (end < grid[0].length - 1) {
-			grid[y][end] = state;
+		if (state && to > from) {
+			row.push([ from, to ]);
 		}
+		grid[y] = row.sort((a, b) => a[0] - b[0]);
 		return grid;
 	}
 	
@@ -449,12 +754,7 @@ class DiagramPositioner {
 	 * @return {boolean}
 	 */
 	_compareGridRows(row1, row2) {
-		for (const [i, e] of row1.entries()) {
-			if (e && row2[i]) {
-				return false;
-			}
-		}
-		return true;
+		return !row1.some(a => row2.some(b => a[0] < b[1] && b[0] < a[1]));
 	}
 }
 
@@ -0,0 +1,141 @@
+/**
+ * How much each kind of text an entry is found by counts towards its rank. Matches on the entry's own name rank highest.
+ */
+const matchWeights = {
+	name: 1,
+	alias: 0.9,
+	previous: 0.8,
+	event: 0.6
+};
+
+/**
+ * How spread out the letters of a fuzzy match can be, as a multiple of the length of the search.
+ */
+const maxSpread = 3;
+
+/**
+ * Make text comparable for searching, by removing accents, extra spaces and case.
+ * @param {string} text
+ * @return {string}
+ */
+function normalise(text) {
+	return String(text).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Class finding entries by name, for the find form, with the best matches first.
+ * Entries are found by their name, their aliases, their previous names (the names of the entries which become them, along the whole chain), and the text of their events.
+ * Case and accents are ignored, and matching is fuzzy: the letters searched for only need to appear in order, close together. Whole and prefix matches rank above these.
+ * This doesn't use the DOM.
+ */
+class EntrySearch {
+
+	/**
+	 * @param {object[]} entries - Entries as plain objects with id and name, and optionally aliases (a comma-separated list) and become, as for Timeline.addEntry()
+	 * @param {object[]} [events = []] - Events as plain objects with the ID of their entry (target) and their text
+	 */
+	constructor(entries, events = []) {
+		const names = new Map(entries.map(e => [ String(e.id), String(e.name ?? "") ]));
+		const previous = new Map([...names.keys()].map(id => [ id, [] ]));
+		for (const entry of entries) {
+			const become = String(entry.become ?? "");
+			if (previous.has(become) && become !== String(entry.id)) {
+				previous.get(become).push(String(entry.id));
+			}
+		}
+
+		this._entries = entries.map(entry => {
+			const id = String(entry.id);
+			const texts = [
+				{ kind: "name", text: names.get(id) },
+				...String(entry.aliases ?? "").split(",").map(a => a.trim()).filter(a => a).map(a => ({ kind: "alias", text: a })),
+				...this._getPrevious(id, previous).map(p => ({ kind: "previous", text: names.get(p) })),
+				...events.filter(e => String(e.target) === id).map(e => ({ kind: "event", text: String(e.text ?? "").trim() }))
+			];
+			return { id: id, name: names.get(id), texts: texts.map(t => ({ ...t, normalised: normalise(t.text) })) };
+		});
+	}
+
+	/**
+	 * Find the entries matching a search, best first.
+	 * Entries matching equally well are ordered by name.
+	 * @param {string} search
+	 * @param {number} [limit = Infinity] - The most entries to return
+	 * @return {object[]} For each entry: its id and name, its score (up to 1), and the match: the kind of text found ("name", "alias", "previous" or "event"), and the text
+	 */
+	find(search, limit = Infinity) {
+		const query = normalise(search);
+		if (query === "") return [];
+
+		const found = [];
+		for (const entry of this._entries) {
+			let best = null;
+			for (const text of entry.texts) {
+				const score = this._score(text.normalised, query) * matchWeights[text.kind];
+				if (score > 0 && (!best || score > best.score)) {
+					best = { score: score, match: { kind: text.kind, text: text.text } };
+				}
+			}
+			if (best) found.push({ id: entry.id, name: entry.name, ...best });
+		}
+		return found
+			.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+			.slice(0, limit);
+	}
+
+	/**
+	 * Get the IDs of the entries which become an entry, and those which become them, and so on.
+	 * @protected
+	 * @param {string} id
+	 * @param {Map<string, string[]>} previous - The IDs of the entries which become each entry
+	 * @return {string[]} Nearest first
+	 */
+	_getPrevious(id, previous) {
+		const found = [];
+		const queue = [ ...previous.get(id) ];
+		while (queue.length > 0) {
+			const current = queue.shift();
+			if (current === id || found.includes(current)) continue;
+			found.push(current);
+			queue.push(...previous.get(current));
+		}
+		return found;
+	}
+
+	/**
+	 * Score how well some text matches a search, both normalised.
+	 * @protected
+	 * @param {string} text
+	 * @param {string} query
+	 * @return {number} From 1 for the whole text, down to 0 for no match
+	 */
+	_score(text, query) {
+		if (text === query) return 1;
+		if (text.startsWith(query)) return 0.9;
+
+		const index = text.indexOf(query);
+		if (index > 0) {
+			//Matches at the start of a word rank above those within one
+			return ( /[^\p{L}\p{N}]/u.test(text[index - 1]) ? 0.8 : 0.7 );
+		}
+
+		//Each word of the search found, in any order
+		const words = query.split(" ");
+		if (words.length > 1 && words.every(w => text.includes(w))) return 0.6;
+
+		//The letters of the search in order, ranked by how close together they are
+		let spread = Infinity;
+		for (let start = text.indexOf(query[0]); start !== -1; start = text.indexOf(query[0], start + 1)) {
+			let pos = start;
+			for (const char of query.slice(1)) {
+				pos = text.indexOf(char, pos + 1);
+				if (pos === -1) break;
+			}
+			if (pos === -1) break;
+			spread = Math.min(spread, pos - start + 1);
+		}
+		return ( spread <= query.length * maxSpread ? 0.5 * query.length / spread : 0 );
+	}
+}
+
+export default EntrySearch
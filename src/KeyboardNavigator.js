@@ -0,0 +1,150 @@
+/**
+ * The direction on the page of each arrow key.
+ */
+const directions = {
+	ArrowRight: { x: 1, y: 0 },
+	ArrowLeft: { x: -1, y: 0 },
+	ArrowDown: { x: 0, y: 1 },
+	ArrowUp: { x: 0, y: -1 }
+}
+
+/**
+ * Class finding where the keyboard focus should move to between the entries and events of a drawn diagram.
+ * The arrow keys follow the connections between entries (split, merge, become and links) and from entries to their events,
+ * moving to the nearest connected entry or event in the direction of the key. If there isn't one, the nearest entry or event in that direction is used instead.
+ * Only entries and events with a tabindex, as set by the Diagram, can be focused.
+ */
+class KeyboardNavigator {
+
+	/**
+	 * @param {HTMLElement} container - The container of the drawn diagram
+	 * @param {string} [orientation = "horizontal"] - The direction of the time axis: "horizontal" or "vertical"
+	 */
+	constructor(container, orientation = "horizontal") {
+		this._container = container;
+		this._orientation = orientation;
+	}
+
+	/**
+	 * Get the entry or event the focus should move to when a key is pressed.
+	 * Home and End move to the first and last entry in time.
+	 * @param {HTMLElement} from - The focused entry or event
+	 * @param {string} key - The key pressed, as in KeyboardEvent.key
+	 * @return {HTMLElement|null} The element to focus, or null if the key doesn't move the focus
+	 */
+	target(from, key) {
+		const nodes = this.getNodes();
+		if (!nodes.includes(from)) return null;
+
+		if (key === "Home" || key === "End") {
+			const axis = ( this._orientation === "vertical" ? "y" : "x" );
+			const entries = nodes.filter(n => n.classList.contains("entry"))
+				.sort((a, b) => this._getPosition(a)[axis] - this._getPosition(b)[axis]);
+			return ( key === "Home" ? entries[0] : entries[entries.length - 1] ) ?? null;
+		}
+
+		const direction = directions[key];
+		if (!direction) return null;
+		return this._nearest(from, this._getConnected(from, nodes), direction) ?? this._nearest(from, nodes, direction);
+	}
+
+	/**
+	 * Make the given entry or event the one in the tab order, so that tabbing back to the diagram returns to it.
+	 * @param {HTMLElement} node
+	 */
+	setCurrent(node) {
+		for (const n of this.getNodes()) {
+			n.tabIndex = ( n === node ? 0 : -1 );
+		}
+	}
+
+	/**
+	 * Get the entries and events that can be focused. Those not currently shown, e.g. events hidden when zoomed out, are left out.
+	 * @return {HTMLElement[]}
+	 */
+	getNodes() {
+		return [...this._container.querySelectorAll(":scope > .entry[tabindex], :scope > .event[tabindex]")]
+			.filter(n => typeof n.checkVisibility !== "function" || n.checkVisibility());
+	}
+
+	/**
+	 * Get the entries and events connected to an entry or event.
+	 * An entry is connected to the entries it has a split, merge, become or links attribute for, the entries with one of these for it, and its events.
+	 * An event is connected to its target entry and the target's other events.
+	 * @protected
+	 * @param {HTMLElement} node
+	 * @param {HTMLElement[]} nodes - All entries and events
+	 * @return {HTMLElement[]}
+	 */
+	_getConnected(node, nodes) {
+		if (node.classList.contains("event")) {
+			const target = node.dataset.target;
+			if (!target) return [];
+			return nodes.filter(n => n.classList.contains("entry") ? n.id === target : n.dataset.target === target);
+		}
+
+		const refs = this._getReferences(node);
+		return nodes.filter(n => {
+			if (n.classList.contains("event")) {
+				return n.dataset.target === node.id;
+			}
+			return refs.includes(n.id) || this._getReferences(n).includes(node.id);
+		});
+	}
+
+	/**
+	 * Get the IDs of the entries an entry refers to.
+	 * @protected
+	 * @param {HTMLElement} entry
+	 * @return {string[]}
+	 */
+	_getReferences(entry) {
+		return [ "become", "split", "merge", "links" ]
+			.filter(attrib => entry.dataset[attrib])
+			.flatMap(attrib => entry.dataset[attrib].split(" "));
+	}
+
+	/**
+	 * Find the nearest of the candidates in the given direction from an element.
+	 * Candidates are compared by their distance in that direction, with distance to either side counted twice, so that those most directly in line are preferred.
+	 * @protected
+	 * @param {HTMLElement} from
+	 * @param {HTMLElement[]} candidates
+	 * @param {object} direction - A unit vector on the page, as in directions
+	 * @return {HTMLElement|null}
+	 */
+	_nearest(from, candidates, direction) {
+		const start = this._getPosition(from);
+		let nearest = null, min = Infinity;
+
+		for (const candidate of candidates) {
+			if (candidate === from) continue;
+			const pos = this._getPosition(candidate);
+			const dx = pos.x - start.x, dy = pos.y - start.y;
+			const along = dx * direction.x + dy * direction.y;
+			if (along <= 0) continue;
+
+			const distance = along + 2 * Math.abs(dx * direction.y - dy * direction.x);
+			if (distance < min) {
+				nearest = candidate;
+				min = distance;
+			}
+		}
+		return nearest;
+	}
+
+	/**
+	 * Get the position of the centre of an element within the diagram.
+	 * @protected
+	 * @param {HTMLElement} el
+	 * @return {object} The x and y position in px
+	 */
+	_getPosition(el) {
+		return {
+			x: (parseFloat(el.style.left) || 0) + el.offsetWidth/2,
+			y: (parseFloat(el.style.top) || 0) + el.offsetHeight/2
+		};
+	}
+}
+
+export default KeyboardNavigator
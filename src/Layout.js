@@ -0,0 +1,1038 @@
+import DiagramPositioner from './DiagramPositioner.js';
+import Validator from './Validator.js';
+import {applyConfig, parseDate, isValidDate, formatYear} from './util.js';
+
+/**
+ * The default configuration object for the Layout class
+ */
+const defaultLayoutConfig = {
+	yearStart: 1900,
+	yearEnd: new Date().getFullYear() + 1,
+	strokeWidth: 4,
+	yearWidth: 50,
+	rowHeight: 50,
+	padding: 5,
+	boxWidth: 100,
+	guides: true,
+	guideInterval: 5,
+	labelInterval: "auto",
+	labelFormatter: null,
+	linkDashes: "4",
+	irregularDashes: "88 4 4 4",
+	orientation: "horizontal",
+	rowLayout: "basic",
+	swimlanes: false,
+	strict: false
+}
+
+/**
+ * The intervals in years to choose from for automatic label and guide intervals, before multiplying by powers of 10.
+ */
+const niceIntervals = [ 1, 2, 5 ];
+
+/**
+ * The minimum space in px between date labels for automatic intervals.
+ */
+const minLabelSpacing = 200;
+
+/**
+ * @typedef {object} Coords
+ * @property {number} x
+ * @property {number} y
+ *
+ * @typedef {object} LayoutResult
+ * The calculated layout of a diagram. All coordinates are in px on the page, i.e. already swapped if the orientation is vertical.
+ * The result contains only plain data, so can be serialised as JSON.
+ * @property {string} orientation - "horizontal" or "vertical"
+ * @property {number} width - The width of the diagram
+ * @property {number} height - The height of the diagram
+ * @property {number} rows - The number of rows
+ * @property {object[]} issues - The problems found in the data, as returned by Validator.validate()
+ * @property {object[]} entries - For each entry that could be placed: its index in the entries given, id, name, row, x, y, width, height, colour, whether it is min (too short for a full box) or preexists (starts before yearStart), and data (the entry's final attributes, as strings)
+ * @property {object[]} connectors - For each line: the ID of the entry it belongs to, its type (end, become, merge, split or link), the ID of the entry it joins (target, except for end lines), and start, end, stroke, colour, markers and dashes, as used by SvgConnector.draw().
+ * 								Lines to hidden entries are drawn as short stubs, with offView set to the ID of the hidden entry.
+ * @property {string[]} hidden - The IDs of the entries hidden from the diagram
+ * @property {object[]} events - For each event with a valid year and target: its index in the events given, and its x and y position
+ * @property {object} dates - The date axes: start and end are their positions across the rows, and each label has a year, label text and position along the time axis
+ * @property {object[]} guides - For each guide: year, position and length along the time axis, and whether it is odd
+ * @property {object[]} groups - For each group of entries (set with their group attribute): the group name, the IDs of its entries, and the x, y, width and height of a band covering them, e.g. to show in place of the entries when zoomed out
+ * @property {object[]} periods - For each period with a valid name and dates within the timeline: its index in the periods given, name, colour, x, y, width and height, and level.
+ * 								Periods overlapping in time have different levels, from 0, so that their labels can be stacked.
+ * @property {object[]} lanes - If swimlanes is set, for each group with entries shown or collapsed, in order down the rows: the group name, the IDs of its entries, whether it is collapsed, whether it is odd (to alternate tints),
+ * 								the x, y, width and height of the lane across the whole timeline, and the x, y, width and height of its summary (or null if not collapsed)
+ */
+
+/**
+ * Class calculating the layout of a timeline diagram from plain data, without using the DOM.
+ * This is used by the Diagram class to draw the timeline, and can also be used directly, e.g. to render a diagram on the server.
+ */
+class Layout {
+
+	/**
+	 * @param {object} config - Configuration object for the layout. Takes the same settings as the Diagram class, ignoring any that only affect drawing.
+	 */
+	constructor(config = {}) {
+		this._config = this._makeConfig(config);
+	}
+
+	/**
+	 * The final config, including defaults and derived settings.
+	 * @return {object}
+	 */
+	get config() {
+		return {...this._config};
+	}
+
+	/**
+	 * Take the given config, apply defaults and return final config object.
+	 * @protected
+	 * @param {object} config
+	 * @return {object}
+	 */
+	_makeConfig(config) {
+		const c = applyConfig(defaultLayoutConfig, config);
+		//Derived settings for convenience
+		c.boxHeight = c.rowHeight - c.padding*2;
+		c.boxMinWidth = c.boxHeight;
+		if (![ "horizontal", "vertical" ].includes(c.orientation)) {
+			console.warn(`Invalid orientation "${c.orientation}". Using horizontal.`);
+			c.orientation = "horizontal";
+		}
+		if (![ "basic", "min-crossings" ].includes(c.rowLayout)) {
+			console.warn(`Invalid row layout "${c.rowLayout}". Using basic.`);
+			c.rowLayout = "basic";
+		}
+		for (const prop of [ "yearStart", "yearEnd" ]) {
+			if (!isValidDate(c[prop])) {
+				console.warn(`Invalid ${prop} "${c[prop]}". Using ${defaultLayoutConfig[prop]}.`);
+				c[prop] = defaultLayoutConfig[prop];
+			}
+		}
+		for (const prop of [ "labelInterval", "guideInterval" ]) {
+			if (c[prop] !== "auto" && !(c[prop] > 0)) {
+				console.warn(`Invalid ${prop} "${c[prop]}". Using auto.`);
+				c[prop] = "auto";
+			}
+		}
+		if (c.labelFormatter !== null && typeof c.labelFormatter !== "function") {
+			console.warn("Invalid labelFormatter. This must be a function.");
+			c.labelFormatter = null;
+		}
+		return c;
+	}
+
+	/**
+	 * Calculate the layout for the given entries, events and periods.
+	 * Entries, events and periods are given as objects in the same format as for Timeline.addEntry(), Timeline.addEvent() and Timeline.addPeriod().
+	 * Events may also have a width and height in px. These are needed to position them precisely, as events are centred on their date.
+	 * Problems in the data are reported as warnings, and the data is corrected where possible: invalid references are ignored, and entries and events that can't be placed are left out.
+	 * In strict mode, an error is thrown instead if there are any problems of "error" severity.
+	 * Entries can be hidden, e.g. to filter the diagram. Hidden entries and their events are left out, and the rows are closed up to remove the gaps left.
+	 * If swimlanes is set, each group has rows of its own, and groups can be collapsed: their entries are hidden, and a single summary row is kept in their place.
+	 * @param {object[]} entries
+	 * @param {object[]} [events = []]
+	 * @param {string[]} [hidden = []] - The IDs of entries to hide
+	 * @param {object[]} [periods = []]
+	 * @param {string[]} [collapsed = []] - The groups to collapse, if swimlanes is set
+	 * @return {LayoutResult}
+	 */
+	calculate(entries, events = [], hidden = [], periods = [], collapsed = []) {
+		this._issues = new Validator(this._config).validate(entries, events, periods);
+		const errors = this._issues.filter(i => i.severity === "error");
+		if (this._config.strict === true && errors.length > 0) {
+			throw new Error(`Invalid timeline data:\n${errors.map(i => i.message).join("\n")}`);
+		}
+		for (const issue of this._issues) {
+			console.warn(issue.message);
+		}
+
+		this._entries = this._getUsableEntries(entries);
+		this._ids = new Map(this._entries.map(e => [e.id, e]));
+
+		this._prepareEntries();
+		const all = this._entries;
+		const lanes = ( this._config.swimlanes === true );
+		const collapsedIds = ( lanes ? this._getCollapsedEntries(hidden, collapsed) : [] );
+		this._hideEntries([ ...hidden, ...collapsedIds ]);
+		const dp = new DiagramPositioner(this._getPositionedEntries(all, collapsedIds), this._config.yearStart, this._config.yearEnd, this._config.rowLayout, lanes);
+		dp.calculate();
+		if (this._hidden.size > 0) {
+			dp.removeEmptyRows();
+		}
+		this._rows = dp.rows;
+
+		this._setEntries();
+
+		const size = this._orient({
+			x: (parseDate(this._config.yearEnd) + 1 - parseDate(this._config.yearStart)) * this._config.yearWidth, //Add 1 year for padding
+			y: (this._rows + 2) * this._config.rowHeight //Add 2 rows to total for top and bottom space
+		});
+
+		return {
+			orientation: this._config.orientation,
+			width: size.x,
+			height: size.y,
+			rows: this._rows,
+			issues: this._issues,
+			entries: this._entries.map(e => this._entryResult(e)),
+			connectors: this._entries.flatMap(e => this._getConnectors(e)),
+			hidden: [...this._hidden.keys()],
+			events: this._getEvents(events),
+			dates: this._getDates(),
+			guides: this._getGuides(),
+			groups: this._getGroupBands(),
+			periods: this._getPeriods(periods, size),
+			lanes: ( lanes ? this._getLanes(size) : [] )
+		};
+	}
+
+	/**
+	 * Get the width in px of the diagram at the point specified by a particular year or date.
+	 * @param {number|string} year - A year, or an ISO 8601 date (YYYY, YYYY-MM or YYYY-MM-DD)
+	 * @return {number}
+	 */
+	yearToWidth(year) {
+		return Math.round((parseDate(year) - parseDate(this._config.yearStart)) * this._config.yearWidth);
+	}
+
+	/**
+	 * Get the year at a point in the diagram, the reverse of yearToWidth().
+	 * @param {number} width - The position in px along the time axis
+	 * @param {string} [round = floor] - "floor" for the year the point is in, or "ceil" for the first year starting at or after it
+	 * @return {number} The year, negative for BCE
+	 */
+	widthToYear(width, round = "floor") {
+		const year = Math[round](width / this._config.yearWidth + parseDate(this._config.yearStart));
+		
+		//Years on the continuous scale from 0 down are BCE, with 0 as 1 BCE
+		return ( year < 1 ? year - 1 : year );
+	}
+
+	/**
+	 * Copy an entry's data, with all values as strings in the same way as an element's dataset.
+	 * @protected
+	 * @param {object} data
+	 * @return {object}
+	 */
+	_copyData(data) {
+		const copy = {};
+		for (const [k, v] of Object.entries(data)) {
+			if (v === undefined || v === null) continue;
+			copy[k] = String(v);
+		}
+		return copy;
+	}
+
+	/**
+	 * Copy the entries that can be placed, i.e. with a unique ID and valid dates, noting their index in the entries given.
+	 * @protected
+	 * @param {object[]} entries
+	 * @return {object[]}
+	 */
+	_getUsableEntries(entries) {
+		const usable = [];
+		this._indices = new Map();
+		entries.forEach((e, i) => {
+			const entry = this._copyData(e);
+			if (!entry.id || this._indices.has(entry.id) || !isValidDate(entry.start) || (entry.end && !isValidDate(entry.end))) return;
+			this._indices.set(entry.id, i);
+			usable.push(entry);
+		});
+		return usable;
+	}
+
+	/**
+	 * Prepare all entries with their calculated end and corrected start, removing invalid references.
+	 * @protected
+	 */
+	_prepareEntries() {
+		this._preexisting = new Set();
+
+		//Ignore references that can't be drawn: to entries that don't exist or were left out, to the entry itself, or completing a loop of become.
+		//(This must be done first, as the end may be taken from the entry this one becomes.)
+		for (const entry of this._entries) {
+			for (const attrib of [ "become", "split", "merge", "links" ]) {
+				if (entry[attrib] !== undefined && entry[attrib].split(" ").some(id => id === entry.id || !this._ids.has(id))) {
+					delete entry[attrib];
+				}
+			}
+		}
+		for (const issue of this._issues) {
+			if (issue.code === "become-cycle" && this._ids.has(issue.entry)) {
+				delete this._ids.get(issue.entry).become;
+			}
+		}
+
+		for (const entry of this._entries) {
+			entry.end = String(this._calcEnd(entry));
+
+			//If start is before Timeline start, then move it and mark it.
+			if (parseDate(entry.start) < parseDate(this._config.yearStart)) {
+				entry.start = String(this._config.yearStart);
+				this._preexisting.add(entry.id);
+			}
+		}
+	}
+
+	/**
+	 * Leave out the hidden entries, and note the connections between shown and hidden entries, to be drawn as continuing off view.
+	 * References to hidden entries are removed, so that the remaining entries are positioned as if the hidden entries didn't exist.
+	 * @protected
+	 * @param {string[]} hidden - The IDs of the entries to hide
+	 */
+	_hideEntries(hidden) {
+		const ids = new Set(hidden.map(String));
+		this._hidden = new Map(this._entries.filter(e => ids.has(e.id)).map(e => [e.id, e]));
+		this._entries = this._entries.filter(e => !this._hidden.has(e.id));
+		this._ids = new Map(this._entries.map(e => [e.id, e]));
+		this._offView = new Map(this._entries.map(e => [e.id, []]));
+
+		for (const entry of [ ...this._entries, ...this._hidden.values() ]) {
+			for (const attrib of [ "split", "merge", "become", "links" ]) {
+				if (!entry[attrib]) continue;
+				const refs = entry[attrib].split(" ");
+				for (const ref of refs) {
+					if (this._ids.has(entry.id) && this._hidden.has(ref)) {
+						this._offView.get(entry.id).push({ type: attrib, id: ref, reverse: false });
+					} else if (this._hidden.has(entry.id) && this._ids.has(ref)) {
+						this._offView.get(ref).push({ type: attrib, id: entry.id, reverse: true });
+					}
+				}
+
+				const shown = refs.filter(ref => !this._hidden.has(ref));
+				if (shown.length > 0) {
+					entry[attrib] = shown.join(" ");
+				} else {
+					delete entry[attrib];
+				}
+			}
+		}
+	}
+
+	/**
+	 * Get the IDs of the entries in the collapsed groups, leaving out those already hidden.
+	 * The entries of each collapsed group are noted, to be summarised in its lane.
+	 * @protected
+	 * @param {string[]} hidden - The IDs of the hidden entries
+	 * @param {string[]} collapsed - The collapsed groups
+	 * @return {string[]}
+	 */
+	_getCollapsedEntries(hidden, collapsed) {
+		const ids = new Set(hidden.map(String));
+		const groups = new Set(collapsed.map(String));
+		this._collapsed = new Map();
+		for (const entry of this._entries) {
+			if (!groups.has(entry.group) || ids.has(entry.id)) continue;
+			if (!this._collapsed.has(entry.group)) {
+				this._collapsed.set(entry.group, { id: null, group: entry.group, start: entry.start, end: entry.end, entries: [] });
+			}
+			const summary = this._collapsed.get(entry.group);
+			if (parseDate(entry.start) < parseDate(summary.start)) summary.start = entry.start;
+			if (parseDate(entry.end) > parseDate(summary.end)) summary.end = entry.end;
+			summary.entries.push(entry.id);
+		}
+		return [...this._collapsed.values()].flatMap(s => s.entries);
+	}
+
+	/**
+	 * Get the entries to position: the shown entries, and a summary in place of each collapsed group, to keep a row for it.
+	 * Each summary takes the place of its group's first entry, so that the lanes stay in the same order when groups are collapsed.
+	 * @protected
+	 * @param {object[]} all - All the entries, including hidden ones
+	 * @param {string[]} collapsed - The IDs of the entries in collapsed groups
+	 * @return {object[]}
+	 */
+	_getPositionedEntries(all, collapsed) {
+		if (collapsed.length === 0) {
+			this._collapsed = new Map();
+			return this._entries;
+		}
+		const first = new Map([...this._collapsed.values()].map(s => [s.entries[0], s]));
+		return all
+			.map(e => ( first.has(e.id) ? first.get(e.id) : this._ids.get(e.id) ))
+			.filter(e => e !== undefined);
+	}
+
+	/**
+	 * Set the position of each entry according to its calculated row and entry size.
+	 * @protected
+	 */
+	_setEntries() {
+		this._positions = new Map();
+		for (const entry of this._entries) {
+			this._positions.set(entry.id, {
+				x: this.yearToWidth(entry.start),
+				y: this._calcTop(entry),
+				min: this._checkSmallEntry(entry)
+			});
+		}
+
+		//Adjust spacing for entries that overlap
+		//Accommodates entries that are both the same year
+		for (const entry of this._entries.filter(e => e.become)) {
+			const next = this._ids.get(entry.become);
+			if (parseDate(entry.start) === parseDate(next.start)) {
+				this._positions.get(entry.id).x -= this._config.boxMinWidth/2;
+				this._positions.get(next.id).x += this._config.boxMinWidth/2;
+			}
+		}
+	}
+
+	/**
+	 * Create the result for a single entry.
+	 * @protected
+	 * @param {object} entry
+	 * @return {object}
+	 */
+	_entryResult(entry) {
+		const pos = this._positions.get(entry.id);
+		const coords = this._orient({ x: pos.x, y: pos.y });
+		const size = this._orient(this._getSize(entry));
+
+		return {
+			index: this._indices.get(entry.id),
+			id: entry.id,
+			name: entry.name,
+			row: parseInt(entry.row),
+			x: coords.x,
+			y: coords.y,
+			width: size.x,
+			height: size.y,
+			colour: entry.colour,
+			min: pos.min,
+			preexists: this._preexisting.has(entry.id),
+			data: this._copyData(Object.fromEntries(Object.entries(entry).filter(([k]) => ![ "id", "name" ].includes(k))))
+		};
+	}
+
+	/**
+	 * Get a band for each group, covering its entries' boxes and lines.
+	 * @protected
+	 * @return {object[]}
+	 */
+	_getGroupBands() {
+		const bands = new Map();
+		for (const entry of this._entries) {
+			if (!entry.group) continue;
+			const pos = this._positions.get(entry.id);
+			const size = this._getSize(entry);
+			const start = pos.x, end = Math.max(pos.x + size.x, this.yearToWidth(entry.end));
+
+			const band = bands.get(entry.group);
+			if (band) {
+				band.x1 = Math.min(band.x1, start);
+				band.x2 = Math.max(band.x2, end);
+				band.y1 = Math.min(band.y1, pos.y);
+				band.y2 = Math.max(band.y2, pos.y + size.y);
+				band.entries.push(entry.id);
+			} else {
+				bands.set(entry.group, { x1: start, x2: end, y1: pos.y, y2: pos.y + size.y, entries: [ entry.id ] });
+			}
+		}
+
+		return [...bands].map(([group, band]) => {
+			const coords = this._orient({ x: band.x1, y: band.y1 });
+			const size = this._orient({ x: band.x2 - band.x1, y: band.y2 - band.y1 });
+			return { group: String(group), entries: band.entries, x: coords.x, y: coords.y, width: size.x, height: size.y };
+		});
+	}
+
+	/**
+	 * Get a lane for each group, across the whole timeline, with a summary bar for each collapsed group.
+	 * @protected
+	 * @param {Coords} size - The size of the diagram, oriented for the page
+	 * @return {object[]}
+	 */
+	_getLanes(size) {
+		const length = this._orient(size).x;
+		const groups = [...new Set([ ...this._entries.map(e => e.group), ...this._collapsed.keys() ])].filter(g => g);
+		return groups
+			.map(group => ({ group: group, rows: this._getGroupRows([ group ]) }))
+			.sort((a, b) => a.rows.first - b.rows.first)
+			.map(({ group, rows }, i) => {
+				const summary = this._collapsed.get(group);
+				const coords = this._orient({ x: 0, y: (rows.first + 1) * this._config.rowHeight });
+				const extent = this._orient({ x: length, y: (rows.last - rows.first + 1) * this._config.rowHeight });
+				return {
+					group: String(group),
+					entries: ( summary ? summary.entries : this._entries.filter(e => e.group === group).map(e => e.id) ),
+					collapsed: summary !== undefined,
+					odd: i % 2 === 1,
+					x: coords.x,
+					y: coords.y,
+					width: extent.x,
+					height: extent.y,
+					summary: ( summary ? this._getSummary(summary) : null )
+				};
+			});
+	}
+
+	/**
+	 * Get the position and size of the summary bar of a collapsed group, spanning the dates of its entries.
+	 * @protected
+	 * @param {object} summary
+	 * @return {object} The x, y, width and height
+	 */
+	_getSummary(summary) {
+		const start = this.yearToWidth(summary.start);
+		const coords = this._orient({ x: start, y: this._calcTop(summary) });
+		const extent = this._orient({ x: Math.max(this.yearToWidth(summary.end) - start, this._config.boxMinWidth), y: this._config.boxHeight });
+		return { x: coords.x, y: coords.y, width: extent.x, height: extent.y };
+	}
+
+	/**
+	 * Get the rows used by the given groups, including the summary rows of collapsed groups.
+	 * @protected
+	 * @param {string[]} groups
+	 * @return {object|null} The first and last rows, or null if the groups have no entries shown or collapsed
+	 */
+	_getGroupRows(groups) {
+		const rows = [ ...this._entries, ...this._collapsed.values() ].filter(e => groups.includes(e.group)).map(e => parseInt(e.row));
+		return ( rows.length > 0 ? { first: Math.min(...rows), last: Math.max(...rows) } : null );
+	}
+
+	/**
+	 * Get a band for each period, across all the rows, or only the rows of its groups or its given rows.
+	 * Periods are cut off at the start and end of the timeline. Those outside it, or whose groups have no entries shown, are left out.
+	 * @protected
+	 * @param {object[]} periods
+	 * @param {Coords} size - The size of the diagram, oriented for the page
+	 * @return {object[]}
+	 */
+	_getPeriods(periods, size) {
+		const length = this._orient(size).x;
+		const usable = periods
+			.map((period, i) => ({ index: i, period: this._copyData(period) }))
+			.filter(({ period }) => period.name && isValidDate(period.start) && isValidDate(period.end) && parseDate(period.end) > parseDate(period.start))
+			.sort((a, b) => parseDate(a.period.start) - parseDate(b.period.start) || a.index - b.index);
+
+		//The end of the last period at each level, to find the first level free at each period's start
+		const levels = [];
+		const result = [];
+		for (const { index, period } of usable) {
+			const start = Math.max(this.yearToWidth(period.start), 0);
+			const end = Math.min(this.yearToWidth(period.end), length);
+			const rows = this._getPeriodRows(period);
+			if (end <= start || rows === null) continue;
+
+			let level = levels.findIndex(e => e <= start);
+			if (level === -1) level = levels.length;
+			levels[level] = end;
+
+			const coords = this._orient({ x: start, y: (rows.first + 1) * this._config.rowHeight });
+			const extent = this._orient({ x: end - start, y: (rows.last - rows.first + 1) * this._config.rowHeight });
+			result.push({ index: index, name: period.name, colour: period.colour, x: coords.x, y: coords.y, width: extent.x, height: extent.y, level: level });
+		}
+		return result.sort((a, b) => a.index - b.index);
+	}
+
+	/**
+	 * Get the rows a period covers: those with entries in its groups if given, otherwise its given rows, or otherwise all the rows.
+	 * @protected
+	 * @param {object} period
+	 * @return {object|null} The first and last rows, or null if the period covers no rows shown
+	 */
+	_getPeriodRows(period) {
+		const all = { first: 0, last: Math.max(this._rows - 1, 0) };
+		if (period.groups) {
+			return this._getGroupRows(period.groups.split(" "));
+		}
+		if (period.rows) {
+			const [first, last = first] = period.rows.trim().split(" ").map(Number);
+			if (!Number.isInteger(first) || !Number.isInteger(last) || first > last || first > all.last) return null;
+			return { first: Math.max(first, 0), last: Math.min(last, all.last) };
+		}
+		return all;
+	}
+
+	/**
+	 * Get the lines for a single entry, and those joining it to the entries it splits from, merges with, becomes or links to.
+	 * @protected
+	 * @param {object} entry
+	 * @return {object[]}
+	 */
+	_getConnectors(entry) {
+		const connectors = [];
+		const colour = (entry.colour ? entry.colour : "var(--tl-colour-stroke)");
+		const dasharray = (entry.irregular == "true" ? this._config.irregularDashes : "");
+
+		let endMarker = "";
+		let type = "end";
+		let start = this._getJoinCoords(entry, "right");
+		let end = {
+			x: this.yearToWidth(entry.end),
+			y: start.y
+		};
+
+		const offView = this._offView.get(entry.id);
+		const continues = offView.some(c => !c.reverse && [ "merge", "become" ].includes(c.type));
+
+		//Ends without joining another entry
+		if (!Object.hasOwn(entry, "merge") &&
+			!Object.hasOwn(entry, "become") &&
+			!continues
+		) {
+			endMarker = (entry.endEstimate ? "dots" : "circle");
+		}
+
+		if (Object.hasOwn(entry, "become")) {
+			end = this._getJoinCoords(this._ids.get(entry.become), 'left');
+			type = "become";
+		}
+
+		if (Object.hasOwn(entry, "merge")) {
+			//Length of the diagonal merge line - a year, or less for entries that last less than a year.
+			let mergeWidth = Math.min(this._config.yearWidth, end.x - this.yearToWidth(entry.start));
+
+			//Special case of one year length and then merging. We need to bump the merge point forward by 1 year to meet an 'end of year' point. Otherwise, it's indistinguishable from a split.
+			if (parseDate(entry.start) === parseDate(entry.end)) {
+				end.x += this._config.yearWidth;
+				mergeWidth = this._config.yearWidth;
+			}
+
+			const mergePoint = {
+				x: end.x,
+				y: this._getYCentre(this._ids.get(entry.merge))
+			}
+
+			//Merged entry's line ends a bit earlier, so as to go diagonally to meet the other entry at the merge date.
+			end.x = end.x - mergeWidth;
+			connectors.push(this._connector(entry, "merge", { target: entry.merge, start: {...end}, end: mergePoint, stroke: this._config.strokeWidth, colour: colour }));
+			type = "merge";
+		}
+
+		//Nothing to draw here if entry starts and ends on the same date
+		if (parseDate(entry.start) !== parseDate(entry.end)) {
+			const target = ( type === "become" ? { target: entry.become } : {} );
+			connectors.push(this._connector(entry, type, { ...target, start: start, end: end, stroke: this._config.strokeWidth, colour: colour, markers: ["", endMarker], dashes: dasharray }));
+		}
+
+		if (Object.hasOwn(entry, "split")) {
+			connectors.push(this._getSplit(entry, colour));
+		}
+		if (Object.hasOwn(entry, "links")) {
+			connectors.push(...this._getLinks(entry, colour));
+		}
+		for (const connection of offView) {
+			connectors.push(this._getOffView(entry, connection, colour));
+		}
+		return connectors;
+	}
+
+	/**
+	 * Get a short line showing that an entry is connected to a hidden entry. The line ends with dots, in the direction the connection would go.
+	 * @protected
+	 * @param {object} entry
+	 * @param {object} connection - The type of connection, the ID of the hidden entry, and whether the connection is from the hidden entry (reverse)
+	 * @param {string} colour
+	 * @return {object}
+	 */
+	_getOffView(entry, connection, colour) {
+		const length = this._config.rowHeight/2;
+		const centre = this._getYCentre(entry);
+		const hidden = this._hidden.get(connection.id);
+		let start, end;
+
+		if (connection.type === "links") {
+			start = this._getJoinCoords(entry, "bottom");
+			end = { x: start.x, y: start.y + length };
+		} else if (!connection.reverse) {
+			switch (connection.type) {
+				case "split":
+					//From the entry it splits from, above
+					start = this._getJoinCoords(entry, "top");
+					end = { x: start.x, y: start.y - length };
+					break;
+				case "merge":
+					start = { x: this.yearToWidth(entry.end), y: centre };
+					end = { x: start.x + length/2, y: centre - length };
+					break;
+				case "become":
+					start = { x: this.yearToWidth(entry.end), y: centre };
+					end = { x: start.x + length, y: centre };
+					break;
+			}
+		} else {
+			switch (connection.type) {
+				case "split":
+					//To the entry splitting from this one, below
+					start = { x: this.yearToWidth(hidden.start), y: centre };
+					end = { x: start.x, y: centre + length };
+					break;
+				case "merge":
+					start = { x: this.yearToWidth(hidden.end), y: centre };
+					end = { x: start.x - length/2, y: centre - length };
+					break;
+				case "become":
+					start = this._getJoinCoords(entry, "left");
+					end = { x: start.x - length, y: start.y };
+					break;
+			}
+		}
+
+		return {
+			...this._connector(entry, ( connection.type === "links" ? "link" : connection.type ), {
+				target: connection.id,
+				start: start,
+				end: end,
+				stroke: ( connection.type === "links" ? this._config.strokeWidth/2 : this._config.strokeWidth ),
+				colour: colour,
+				markers: ["", "dots"],
+				dashes: this._config.linkDashes
+			}),
+			offView: connection.id
+		};
+	}
+
+	/**
+	 * Get the line joining an entry to the entry it splits from.
+	 * @protected
+	 * @param {object} entry
+	 * @param {string} colour
+	 * @return {object}
+	 */
+	_getSplit(entry, colour) {
+		const source = this._ids.get(entry.split);
+
+		let direction = "top";
+		if (parseInt(entry.row) < parseInt(source.row)) {
+			direction = "bottom";
+		}
+
+		const start = {
+			x: this.yearToWidth(entry.start),
+			y: this._getYCentre(source)
+		}
+		const end = this._getJoinCoords(entry, direction);
+
+		return this._connector(entry, "split", { target: source.id, start: start, end: end, stroke: this._config.strokeWidth, colour: colour });
+	}
+
+	/**
+	 * Get the lines linking an entry to each of its linked entries.
+	 * @protected
+	 * @param {object} entry
+	 * @param {string} colour
+	 * @return {object[]}
+	 */
+	_getLinks(entry, colour) {
+		const connectors = [];
+
+		//Count links drawn on each side, so additional ones can be offset to avoid overlap.
+		let indices = {
+			top: -1,
+			bottom: -1,
+			left: -1,
+			right: -1
+		}
+
+		for (const link of entry.links.split(" ")) {
+			const target = this._ids.get(link);
+			let sourceSide, targetSide, start = { x: 0, y: 0}, end = { x: 0, y: 0};
+
+			const eRow = parseInt(entry.row);
+			const tRow = parseInt(target.row);
+			const eStart = parseDate(entry.start);
+			const tStart = parseDate(target.start);
+
+			//Find the direction of the link
+			if (eRow === tRow && eStart < tStart) {
+				indices["right"] = indices["right"]+1;
+				sourceSide = "right";
+				targetSide = "left";
+			}
+			if (eRow === tRow && eStart > tStart) {
+				indices["left"] = indices["left"]+1;
+				sourceSide = "left";
+				targetSide = "right";
+			}
+			if (eRow > tRow) {
+				indices["top"] = indices["top"]+1;
+				sourceSide = "top";
+				targetSide = "bottom";
+			}
+			if (eRow < tRow) {
+				indices["bottom"] = indices["bottom"]+1;
+				sourceSide = "bottom";
+				targetSide = "top";
+			}
+			start = this._getJoinCoords(entry, sourceSide, indices[sourceSide]);
+
+			//Start with vertical line to line case
+			end = {
+				x: start.x,
+				y: this._getYCentre(target)
+			}
+
+			//If the target doesn't overlap in time with the source (can't be after, as link would be vice versa then)
+			if(eStart >= parseDate(target.end)) {
+				end.x = this.yearToWidth(target.end);
+			}
+
+			//If the date is the same, link the entry box, not the line
+			if(eStart === tStart) {
+				end = this._getJoinCoords(target, targetSide);
+			}
+
+			connectors.push(this._connector(entry, "link", {
+				target: target.id,
+				start: start,
+				end: end,
+				stroke: this._config.strokeWidth/2,
+				colour: colour,
+				markers: ["square", "square"],
+				dashes: this._config.linkDashes
+			}));
+		}
+		return connectors;
+	}
+
+	/**
+	 * Create a connector result, with its coordinates oriented for the page.
+	 * @protected
+	 * @param {object} entry
+	 * @param {string} type
+	 * @param {object} settings - The settings for SvgConnector.draw(), with coordinates relative to the time axis
+	 * @return {object}
+	 */
+	_connector(entry, type, settings) {
+		return {
+			entry: entry.id,
+			type: type,
+			...settings,
+			start: this._orient(settings.start),
+			end: this._orient(settings.end)
+		};
+	}
+
+	/**
+	 * Get the positions of all events with a valid year and target.
+	 * @protected
+	 * @param {object[]} events
+	 * @return {object[]}
+	 */
+	_getEvents(events) {
+		const general = events.filter(e => !e.target && isValidDate(e.year));
+		const result = [];
+
+		events.forEach((event, i) => {
+			if (!isValidDate(event.year) || (event.target && !this._ids.has(String(event.target)))) return;
+
+			//Size along the time axis (x) and across the rows (y)
+			const size = this._orient({ x: event.width ?? 0, y: event.height ?? 0 });
+
+			let top = this._config.rowHeight - size.y;
+			let left = this.yearToWidth(event.year);
+
+			//If events overlap
+			const yearEvents = general.filter(e => parseDate(e.year) === parseDate(event.year));
+			if (yearEvents.length > 1 && yearEvents.indexOf(event) > 0) {
+				top -= size.y * 0.5 * yearEvents.indexOf(event);
+			}
+
+			if (event.target) {
+				top = this._calcTop(this._ids.get(String(event.target))) + ((this._config.boxHeight - size.y) * 0.5);
+				left = left - (size.x * 0.5);
+			}
+
+			result.push({ index: i, ...this._orient({ x: left, y: top }) });
+		});
+		return result;
+	}
+
+	/**
+	 * Get the date axes, with a label every labelInterval years from the start of the timeline.
+	 * @protected
+	 * @return {object}
+	 */
+	_getDates() {
+		const format = this._config.labelFormatter ?? formatYear;
+		const labels = this._getYears(this._getInterval("labelInterval"), parseDate(this._config.yearEnd))
+			.map(y => ({ year: y, label: String(format(y)), position: this.yearToWidth(y) }));
+		return {
+			start: 0,
+			end: (this._rows + 1) * this._config.rowHeight,
+			labels: labels
+		};
+	}
+
+	/**
+	 * Get the striped guides, if enabled.
+	 * @protected
+	 * @return {object[]}
+	 */
+	_getGuides() {
+		if (this._config.guides !== true) return [];
+
+		const interval = this._getInterval("guideInterval");
+		//Round the end up to the nearest multiple of guideInterval to ensure last guide is placed. One more year is found, for the end of the last guide.
+		const years = this._getYears(interval, Math.ceil(parseDate(this._config.yearEnd)/interval)*interval + interval);
+		return years.slice(0, -1).map((y, i) => ({
+			year: y,
+			position: this.yearToWidth(y),
+			length: this.yearToWidth(years[i + 1]) - this.yearToWidth(y),
+			odd: i % 2 == 1
+		}));
+	}
+
+	/**
+	 * Get the interval in years for date labels or guides. If set to "auto", this is the shortest of 1, 2 or 5 times a power of 10 giving enough space between labels.
+	 * @protected
+	 * @param {string} prop - "labelInterval" or "guideInterval"
+	 * @return {number}
+	 */
+	_getInterval(prop) {
+		if (this._config[prop] !== "auto") return this._config[prop];
+
+		for (let scale = 1; ; scale *= 10) {
+			const interval = niceIntervals.find(i => i * scale * this._config.yearWidth >= minLabelSpacing);
+			if (interval) return interval * scale;
+		}
+	}
+
+	/**
+	 * Get the years at the given interval from the start of the timeline, before the given end.
+	 * The years are evenly spaced on the continuous scale used by parseDate(), where 1 BCE is directly followed by 1 CE,
+	 * e.g. with an interval of 100 from 300 BCE, the years are -300, -200, -100, 1, 101...
+	 * @protected
+	 * @param {number} interval
+	 * @param {number} end - The end on the continuous scale
+	 * @return {number[]}
+	 */
+	_getYears(interval, end) {
+		const years = [];
+		for (let y = parseDate(parseInt(this._config.yearStart)); y < end; y += interval) {
+			years.push(( y < 1 ? y - 1 : y ));
+		}
+		return years;
+	}
+
+	/**
+	 * Find and return the coordinates where lines should join an entry on each side.
+	 * Where multiple lines are meeting an entry on one side, specifying the offset number
+	 * allows these to join at different points.
+	 * Sides and coordinates are relative to the time axis, so in vertical orientation "left" is the top of the entry and "top" is its left side.
+	 * @protected
+	 * @param {object} entry
+	 * @param {string} side - Must be "top", "bottom", "left" or "right"
+	 * @param {number} offset - the number of steps to offset the point (use if multiple lines join an entry on the same side).
+	 * @return {Coords}
+	 */
+	_getJoinCoords(entry, side, offset = 0) {
+
+		const offsetIncrement = 5;
+
+		const {x: l, y: t} = this._positions.get(entry.id);
+		const {x: w, y: h} = this._getSize(entry);
+
+		switch(side) {
+			case 'left':
+				return {
+					x: l,
+					y: t + h/2 + (offset * offsetIncrement)
+				};
+			case 'right':
+				return {
+					x: l + w,
+					y: t + h/2 + (offset * offsetIncrement)
+				};
+			case 'top':
+				return {
+					x: l + w/2 + (offset * offsetIncrement),
+					y: t
+				};
+			case 'bottom':
+				return {
+					x: l + w/2 + (offset * offsetIncrement),
+					y: t + h
+				};
+			default:
+				throw `Invalid element side specified: Called with ${side}. Entry: ${entry.id}`;
+		}
+	}
+
+	/**
+	 * Get the size of an entry box along the time axis (x) and across the rows (y).
+	 * @protected
+	 * @param {object} entry
+	 * @return {Coords}
+	 */
+	_getSize(entry) {
+		return {
+			x: (this._positions.get(entry.id).min ? this._config.boxMinWidth : this._config.boxWidth),
+			y: this._config.boxHeight
+		};
+	}
+
+	/**
+	 * Return the end date for an entry, whether explicitly set or not.
+	 * @protected
+	 * @param {object} entry
+	 * @return {number|string}
+	 */
+	_calcEnd(entry) {
+		if (entry.end) {
+			return entry.end;
+		}
+
+		if (entry.become) {
+			return this._ids.get(entry.become).start;
+		}
+
+		return parseInt(this._config.yearEnd);
+	}
+
+	/**
+	 * Calculate the position in px of an entry across the rows.
+	 * @protected
+	 * @param {object} entry
+	 * @return {number}
+	 */
+	_calcTop(entry) {
+		//Add 1 to row due to 0 index.
+		return parseInt((parseInt(entry.row) +1) * this._config.rowHeight + this._config.padding)
+	}
+
+	/**
+	 * Check if an entry should be small on the graph (too brief to fit full box size)
+	 * @protected
+	 * @param {object} entry
+	 * @return {boolean}
+	 */
+	_checkSmallEntry(entry) {
+		const start = parseDate(entry.start);
+		const end = parseDate(entry.end);
+
+		if ((end - start) < (this._config.boxWidth/this._config.yearWidth)) {
+			return true;
+		} else {
+			return false;
+		}
+	}
+
+	/**
+	 * Get the centre of an entry box across the rows.
+	 * @protected
+	 * @param {object} entry
+	 * @return {number}
+	 */
+	_getYCentre(entry) {
+		return this._positions.get(entry.id).y + (this._config.boxHeight/2);
+	}
+
+	/**
+	 * Convert coordinates between the diagram's axes and the page's x and y axes.
+	 * Diagram coordinates have the time axis as x and the rows as y. If vertical, these are swapped on the page.
+	 * @protected
+	 * @param {Coords} coords
+	 * @return {Coords}
+	 */
+	_orient(coords) {
+		if (this._config.orientation === "vertical") {
+			return { x: coords.y, y: coords.x };
+		}
+		return { x: coords.x, y: coords.y };
+	}
+}
+
+export {defaultLayoutConfig, Layout}
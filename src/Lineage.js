@@ -0,0 +1,99 @@
+/**
+ * Class finding the lineage of an entry: the entries it comes from (its ancestors) and the entries that come from it (its descendants).
+ * Lineage follows split, merge and become: an entry descends from the entry it splits from, and from the entries which become it or merge into it.
+ * Links can also be followed, in both directions, as they have no direction of their own.
+ * This doesn't use the DOM.
+ */
+class Lineage {
+
+	/**
+	 * @param {object[]} entries - Entries as plain objects, in the same format as for Timeline.addEntry(). References to entries not given are ignored.
+	 */
+	constructor(entries) {
+		const ids = new Set(entries.map(e => String(e.id)));
+		this._parents = new Map([...ids].map(id => [id, new Set()]));
+		this._children = new Map([...ids].map(id => [id, new Set()]));
+		this._links = new Map([...ids].map(id => [id, new Set()]));
+
+		for (const entry of entries) {
+			const id = String(entry.id);
+			const refs = (attrib) => {
+				if (entry[attrib] === undefined || entry[attrib] === null) return [];
+				return String(entry[attrib]).split(" ").filter(ref => ids.has(ref) && ref !== id);
+			};
+
+			for (const parent of refs("split")) {
+				this._addDescent(parent, id);
+			}
+			for (const child of [ ...refs("become"), ...refs("merge") ]) {
+				this._addDescent(id, child);
+			}
+			for (const link of refs("links")) {
+				this._links.get(id).add(link);
+				this._links.get(link).add(id);
+			}
+		}
+	}
+
+	/**
+	 * Get the lineage of an entry.
+	 * @param {string} id - The ID of the entry
+	 * @param {object} [options = {}]
+	 * @param {string} [options.direction = "both"] - "ancestors", "descendants" or "both"
+	 * @param {boolean} [options.links = false] - Whether to also follow links between entries
+	 * @return {string[]} The IDs of the entries in the lineage, nearest first. The entry itself is not included.
+	 */
+	get(id, { direction = "both", links = false } = {}) {
+		if (![ "ancestors", "descendants", "both" ].includes(direction)) {
+			throw new Error(`Invalid lineage direction "${direction}". The direction must be "ancestors", "descendants" or "both".`);
+		}
+		id = String(id);
+		if (!this._parents.has(id)) return [];
+
+		const found = [];
+		if (direction !== "descendants") {
+			found.push(...this._walk(id, this._parents, links));
+		}
+		if (direction !== "ancestors") {
+			found.push(...this._walk(id, this._children, links));
+		}
+		return [...new Set(found)];
+	}
+
+	/**
+	 * Record that one entry descends from another.
+	 * @protected
+	 * @param {string} parent
+	 * @param {string} child
+	 */
+	_addDescent(parent, child) {
+		this._children.get(parent).add(child);
+		this._parents.get(child).add(parent);
+	}
+
+	/**
+	 * Find all entries reached from an entry in one direction, breadth first.
+	 * @protected
+	 * @param {string} id
+	 * @param {Map<string, Set>} edges - The parents or children of each entry
+	 * @param {boolean} links - Whether to also follow links
+	 * @return {string[]}
+	 */
+	_walk(id, edges, links) {
+		const found = new Set([id]);
+		const queue = [id];
+		while (queue.length > 0) {
+			const current = queue.shift();
+			const next = [ ...edges.get(current), ...(links ? this._links.get(current) : []) ];
+			for (const n of next) {
+				if (found.has(n)) continue;
+				found.add(n);
+				queue.push(n);
+			}
+		}
+		found.delete(id);
+		return [...found];
+	}
+}
+
+export default Lineage
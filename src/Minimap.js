@@ -0,0 +1,200 @@
+const svgNS = "http://www.w3.org/2000/svg";
+
+/**
+ * The fraction of the view's size moved by each press of an arrow key.
+ */
+const keyStep = 0.25;
+
+/**
+ * Class representing the minimap: a small overview of the whole diagram, with a rectangle showing the part currently in view.
+ * This is used by the main Timeline class, if the minimap element is in the document and panning and zooming is enabled.
+ * The view is moved by dragging the rectangle, clicking elsewhere in the minimap, or using the arrow keys when the rectangle has focus.
+ * The minimap doesn't move the diagram itself, but calls the given function with the position to move to.
+ */
+class Minimap {
+
+	/**
+	 * @param {HTMLElement} element - The element to draw the minimap in
+	 * @param {function} onMove - Called with the x and y, in px within the diagram, that the top left of the view should be moved to
+	 */
+	constructor(element, onMove) {
+		this._element = element;
+		this._onMove = onMove;
+		this._listeners = [];
+		this._drag = null;
+		this._size = { width: 0, height: 0 };
+		this._view = { x: 0, y: 0, width: 0, height: 0 };
+
+		this._svg = document.createElementNS(svgNS, "svg");
+		this._svg.classList.add("minimap");
+		this._svg.setAttribute("preserveAspectRatio", "none");
+		this._svg.setAttribute("role", "group");
+		this._svg.setAttribute("aria-label", "Timeline overview");
+		this._content = document.createElementNS(svgNS, "g");
+
+		this._viewRect = this._createShape("rect", "minimap-view");
+		this._viewRect.setAttribute("tabindex", "0");
+		this._viewRect.setAttribute("aria-label", "Area in view. Use the arrow keys to move it.");
+		this._svg.append(this._content, this._viewRect);
+		this._element.append(this._svg);
+
+		this._listen(this._svg, "pointerdown", (e) => this._pointerDown(e));
+		this._listen(document, "pointermove", (e) => this._pointerMove(e));
+		this._listen(document, "pointerup", (e) => this._pointerUp(e));
+		this._listen(document, "pointercancel", (e) => this._pointerUp(e));
+		this._listen(this._viewRect, "keydown", (e) => this._keyHandler(e));
+	}
+
+	/**
+	 * Draw the overview of the diagram: a box for each entry, and its lines.
+	 * @param {object} result - The calculated layout of the diagram (see Layout.calculate())
+	 */
+	draw(result) {
+		this._size = { width: result.width, height: result.height };
+		this._svg.setAttribute("viewBox", `0 0 ${result.width} ${result.height}`);
+
+		const shapes = [];
+		for (const connector of result.connectors) {
+			const line = this._createShape("line", "minimap-connector", {
+				x1: connector.start.x,
+				y1: connector.start.y,
+				x2: connector.end.x,
+				y2: connector.end.y
+			});
+			line.classList.add(connector.type);
+			if (connector.colour) line.style.stroke = connector.colour;
+			shapes.push(line);
+		}
+		for (const entry of result.entries) {
+			const box = this._createShape("rect", "minimap-entry", { x: entry.x, y: entry.y, width: entry.width, height: entry.height });
+			if (entry.colour) box.style.fill = entry.colour;
+			shapes.push(box);
+		}
+		this._content.replaceChildren(...shapes);
+	}
+
+	/**
+	 * Show the part of the diagram in view.
+	 * @param {object} view - The x, y, width and height of the area in view, in px within the diagram
+	 */
+	setView(view) {
+		this._view = { x: view.x, y: view.y, width: view.width, height: view.height };
+		for (const [attr, value] of Object.entries(this._view)) {
+			this._viewRect.setAttribute(attr, value);
+		}
+	}
+
+	/**
+	 * Remove the minimap and its event listeners.
+	 */
+	destroy() {
+		for (const listener of this._listeners) {
+			listener.target.removeEventListener(listener.type, listener.handler);
+		}
+		this._listeners = [];
+		this._svg.remove();
+	}
+
+	/**
+	 * Add an event listener, keeping it to be removed by destroy().
+	 * @protected
+	 * @param {EventTarget} target
+	 * @param {string} type
+	 * @param {function} handler
+	 */
+	_listen(target, type, handler) {
+		target.addEventListener(type, handler);
+		this._listeners.push({ target: target, type: type, handler: handler });
+	}
+
+	/**
+	 * Start dragging the view. If the minimap is pressed outside the view, the view is first centred on the pointer.
+	 * @protected
+	 * @param {PointerEvent} e
+	 */
+	_pointerDown(e) {
+		if (e.pointerType === "mouse" && e.button !== 0) return;
+		const point = this._toDiagram(e);
+		if (!point) return;
+		e.preventDefault();
+
+		if (e.target === this._viewRect) {
+			this._drag = { pointerId: e.pointerId, x: point.x - this._view.x, y: point.y - this._view.y };
+		} else {
+			this._drag = { pointerId: e.pointerId, x: this._view.width/2, y: this._view.height/2 };
+			this._onMove(point.x - this._drag.x, point.y - this._drag.y);
+		}
+	}
+
+	/**
+	 * Move the view with the pointer while dragging.
+	 * @protected
+	 * @param {PointerEvent} e
+	 */
+	_pointerMove(e) {
+		if (!this._drag || e.pointerId !== this._drag.pointerId) return;
+		const point = this._toDiagram(e);
+		if (point) this._onMove(point.x - this._drag.x, point.y - this._drag.y);
+	}
+
+	/**
+	 * Stop dragging the view.
+	 * @protected
+	 * @param {PointerEvent} e
+	 */
+	_pointerUp(e) {
+		if (this._drag && e.pointerId === this._drag.pointerId) this._drag = null;
+	}
+
+	/**
+	 * Move the view with the arrow keys.
+	 * @protected
+	 * @param {KeyboardEvent} e
+	 */
+	_keyHandler(e) {
+		const moves = {
+			ArrowLeft: { x: -1, y: 0 },
+			ArrowRight: { x: 1, y: 0 },
+			ArrowUp: { x: 0, y: -1 },
+			ArrowDown: { x: 0, y: 1 }
+		};
+		const move = moves[e.key];
+		if (!move) return;
+		e.preventDefault();
+		this._onMove(this._view.x + move.x * this._view.width * keyStep, this._view.y + move.y * this._view.height * keyStep);
+	}
+
+	/**
+	 * Convert the position of a pointer event to px within the diagram.
+	 * @protected
+	 * @param {PointerEvent} e
+	 * @return {object|null} The x and y, or null if the minimap isn't shown
+	 */
+	_toDiagram(e) {
+		const rect = this._svg.getBoundingClientRect();
+		if (rect.width === 0 || rect.height === 0) return null;
+		return {
+			x: (e.clientX - rect.left) * this._size.width / rect.width,
+			y: (e.clientY - rect.top) * this._size.height / rect.height
+		};
+	}
+
+	/**
+	 * Create an SVG shape with the given class and attributes.
+	 * @protected
+	 * @param {string} tag
+	 * @param {string} className
+	 * @param {object} [attributes = {}]
+	 * @return {SVGElement}
+	 */
+	_createShape(tag, className, attributes = {}) {
+		const shape = document.createElementNS(svgNS, tag);
+		shape.classList.add(className);
+		for (const [attr, value] of Object.entries(attributes)) {
+			shape.setAttribute(attr, value);
+		}
+		return shape;
+	}
+}
+
+export default Minimap
@@ -0,0 +1,333 @@
+import {applyConfig} from './util.js';
+
+/**
+ * The default options for the PanZoomController class. These are the options Timeline uses from Panzoom.
+ */
+const defaultPanZoomOptions = {
+	contain: null,
+	minScale: 0.125,
+	maxScale: 4,
+	step: 0.3,
+	inertia: true
+}
+
+/**
+ * How much of the speed is kept after each frame (of 16ms) of inertia.
+ */
+const friction = 0.92;
+
+/**
+ * The speed in px per ms below which inertia stops.
+ */
+const minSpeed = 0.02;
+
+/**
+ * The time in ms over which the speed is measured when the element is released.
+ */
+const speedWindow = 100;
+
+/**
+ * Class for panning and zooming an element within its parent, without needing the Panzoom library.
+ * The element can be dragged with the mouse or a finger, zoomed with the mouse wheel or by pinching, and keeps moving for a moment after being released.
+ * This has the same methods as the Panzoom instance used by the Timeline, and fires the same panzoomchange event on the element, so either can be used.
+ * As with Panzoom, the element is transformed with scale(scale) translate(x, y), so the pan is given in px at a scale of 1.
+ */
+class PanZoomController {
+
+	/**
+	 * @param {HTMLElement} element - The element to pan and zoom
+	 * @param {object} [options = {}]
+	 * @param {string|null} [options.contain = null] - "outside" to keep the parent covered by the element (or, if the element is smaller, to keep it within the parent), or null to allow panning anywhere
+	 * @param {number} [options.minScale = 0.125]
+	 * @param {number} [options.maxScale = 4]
+	 * @param {number} [options.step = 0.3] - The amount zoomIn() and zoomOut() change the scale by, as a power of e
+	 * @param {boolean} [options.inertia = true] - Whether the element keeps moving after being dragged and released
+	 */
+	constructor(element, options = {}) {
+		this._element = element;
+		this._parent = element.parentElement;
+		this._options = applyConfig(defaultPanZoomOptions, options);
+		this._view = { x: 0, y: 0, scale: 1 };
+		this._pointers = new Map();
+		this._samples = [];
+		this._velocity = { x: 0, y: 0 };
+		this._listeners = [];
+		this._frame = null;
+
+		//These are used as event handlers, as with Panzoom
+		this.zoomIn = this.zoomIn.bind(this);
+		this.zoomOut = this.zoomOut.bind(this);
+		this.zoomWithWheel = this.zoomWithWheel.bind(this);
+
+		this._element.style.transformOrigin = "0 0";
+		this._element.style.cursor = "move";
+		this._element.style.userSelect = "none";
+		this._element.style.touchAction = "none";
+		this._apply();
+
+		this._listen(this._parent, "pointerdown", (e) => this._pointerDown(e));
+		this._listen(document, "pointermove", (e) => this._pointerMove(e));
+		this._listen(document, "pointerup", (e) => this._pointerUp(e));
+		this._listen(document, "pointercancel", (e) => this._pointerUp(e));
+	}
+
+	/**
+	 * Get the current pan.
+	 * @return {object} The x and y pan in px, at a scale of 1
+	 */
+	getPan() {
+		return { x: this._view.x, y: this._view.y };
+	}
+
+	/**
+	 * Get the current scale.
+	 * @return {number}
+	 */
+	getScale() {
+		return this._view.scale;
+	}
+
+	/**
+	 * Pan to the given position.
+	 * @param {number} x
+	 * @param {number} y
+	 */
+	pan(x, y) {
+		this._stopInertia();
+		this._set({ x: x, y: y, scale: this._view.scale });
+	}
+
+	/**
+	 * Zoom to the given scale, about the centre of the parent.
+	 * @param {number} scale
+	 */
+	zoom(scale) {
+		this._stopInertia();
+		const rect = this._parent.getBoundingClientRect();
+		this._set(this._zoomAt(scale, rect.left + rect.width/2, rect.top + rect.height/2));
+	}
+
+	/**
+	 * Zoom in by one step.
+	 */
+	zoomIn() {
+		this.zoom(this._view.scale * Math.exp(this._options.step));
+	}
+
+	/**
+	 * Zoom out by one step.
+	 */
+	zoomOut() {
+		this.zoom(this._view.scale * Math.exp(-this._options.step));
+	}
+
+	/**
+	 * Zoom about the pointer when the mouse wheel is turned. This should be used as the handler for wheel events on the parent.
+	 * @param {WheelEvent} event
+	 */
+	zoomWithWheel(event) {
+		event.preventDefault();
+		const delta = ( event.deltaY === 0 && event.deltaX ? event.deltaX : event.deltaY );
+		const direction = ( delta < 0 ? 1 : -1 );
+		this._stopInertia();
+		this._set(this._zoomAt(this._view.scale * Math.exp(direction * this._options.step / 3), event.clientX, event.clientY), event);
+	}
+
+	/**
+	 * Remove the event listeners and the transform from the element.
+	 */
+	destroy() {
+		this._stopInertia();
+		for (const listener of this._listeners) {
+			listener.target.removeEventListener(listener.type, listener.handler);
+		}
+		this._listeners = [];
+		for (const prop of [ "transform", "transformOrigin", "cursor", "userSelect", "touchAction" ]) {
+			this._element.style[prop] = "";
+		}
+	}
+
+	/**
+	 * Add an event listener, keeping it to be removed by destroy().
+	 * @protected
+	 * @param {EventTarget} target
+	 * @param {string} type
+	 * @param {function} handler
+	 */
+	_listen(target, type, handler) {
+		target.addEventListener(type, handler);
+		this._listeners.push({ target: target, type: type, handler: handler });
+	}
+
+	/**
+	 * Start tracking a pointer, to drag with one pointer or pinch with two.
+	 * @protected
+	 * @param {PointerEvent} e
+	 */
+	_pointerDown(e) {
+		if (e.pointerType === "mouse" && e.button !== 0) return;
+		this._stopInertia();
+		this._pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+		this._samples = [ { x: 0, y: 0, time: e.timeStamp } ];
+	}
+
+	/**
+	 * Pan by the movement of the pointers' centre, and zoom by the change in distance between them if pinching.
+	 * @protected
+	 * @param {PointerEvent} e
+	 */
+	_pointerMove(e) {
+		if (!this._pointers.has(e.pointerId)) return;
+
+		const before = this._getGesture();
+		this._pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+		const after = this._getGesture();
+		const dx = after.x - before.x, dy = after.y - before.y;
+
+		//Record the distance moved, to find the speed when released
+		const last = this._samples[this._samples.length - 1];
+		this._samples.push({ x: last.x + dx, y: last.y + dy, time: e.timeStamp });
+		this._samples = this._samples.filter(s => e.timeStamp - s.time <= speedWindow);
+
+		const scale = this._view.scale;
+		let view = { x: this._view.x + dx/scale, y: this._view.y + dy/scale, scale: scale };
+		if (before.distance > 0 && after.distance > 0) {
+			view = this._zoomAt(scale * after.distance/before.distance, after.x, after.y, view);
+		}
+		this._set(view, e);
+	}
+
+	/**
+	 * Stop tracking a pointer, continuing the movement with inertia if it was the last one.
+	 * @protected
+	 * @param {PointerEvent} e
+	 */
+	_pointerUp(e) {
+		if (!this._pointers.delete(e.pointerId) || this._pointers.size > 0 || this._options.inertia !== true) return;
+
+		//Only continue if the pointer was still moving when released
+		const recent = this._samples.filter(s => e.timeStamp - s.time <= speedWindow);
+		if (recent.length < 2) return;
+		const first = recent[0], last = recent[recent.length - 1];
+		const dt = Math.max(last.time - first.time, 16);
+		this._velocity = { x: (last.x - first.x) / dt, y: (last.y - first.y) / dt };
+		if (Math.hypot(this._velocity.x, this._velocity.y) > minSpeed) {
+			this._startInertia();
+		}
+	}
+
+	/**
+	 * Get the centre of the tracked pointers, and the distance between the first two.
+	 * @protected
+	 * @return {object} The x and y of the centre, in client coordinates, and the distance in px (0 for one pointer)
+	 */
+	_getGesture() {
+		const points = [...this._pointers.values()];
+		return {
+			x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+			y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+			distance: ( points.length > 1 ? Math.hypot(points[1].x - points[0].x, points[1].y - points[0].y) : 0 )
+		};
+	}
+
+	/**
+	 * Keep the element moving after it is released, slowing to a stop.
+	 * @protected
+	 */
+	_startInertia() {
+		let last = performance.now();
+		const step = (now) => {
+			const dt = now - last;
+			last = now;
+			const decay = Math.pow(friction, dt/16);
+			this._velocity = { x: this._velocity.x * decay, y: this._velocity.y * decay };
+
+			const scale = this._view.scale;
+			const moved = this._set({ x: this._view.x + this._velocity.x * dt/scale, y: this._view.y + this._velocity.y * dt/scale, scale: scale });
+			if (!moved || Math.hypot(this._velocity.x, this._velocity.y) < minSpeed) {
+				this._frame = null;
+				return;
+			}
+			this._frame = requestAnimationFrame(step);
+		};
+		this._frame = requestAnimationFrame(step);
+	}
+
+	/**
+	 * Stop any movement from inertia.
+	 * @protected
+	 */
+	_stopInertia() {
+		if (this._frame !== null) {
+			cancelAnimationFrame(this._frame);
+			this._frame = null;
+		}
+	}
+
+	/**
+	 * Get a view zoomed to the given scale, keeping the point under the given position in place.
+	 * @protected
+	 * @param {number} scale
+	 * @param {number} clientX
+	 * @param {number} clientY
+	 * @param {object} [view] - The view to zoom from, if not the current one
+	 * @return {object} The x, y and scale
+	 */
+	_zoomAt(scale, clientX, clientY, view = this._view) {
+		scale = Math.min(Math.max(scale, this._options.minScale), this._options.maxScale);
+		const rect = this._parent.getBoundingClientRect();
+		const fx = clientX - rect.left - this._element.offsetLeft;
+		const fy = clientY - rect.top - this._element.offsetTop;
+		return {
+			x: view.x + fx/scale - fx/view.scale,
+			y: view.y + fy/scale - fy/view.scale,
+			scale: scale
+		};
+	}
+
+	/**
+	 * Keep the view within the scale limits and, if set, the containment.
+	 * @protected
+	 * @param {object} view
+	 * @return {object}
+	 */
+	_constrain({ x, y, scale }) {
+		scale = Math.min(Math.max(scale, this._options.minScale), this._options.maxScale);
+		if (this._options.contain === "outside") {
+			const limit = (pan, parentSize, size) => {
+				const edge = parentSize/scale - size;
+				return Math.min(Math.max(pan, Math.min(0, edge)), Math.max(0, edge));
+			};
+			x = limit(x, this._parent.clientWidth, this._element.offsetWidth);
+			y = limit(y, this._parent.clientHeight, this._element.offsetHeight);
+		}
+		return { x: x, y: y, scale: scale };
+	}
+
+	/**
+	 * Set the view, firing panzoomchange if it has changed.
+	 * @protected
+	 * @param {object} view - The x, y and scale
+	 * @param {Event} [originalEvent] - The event causing the change, if any
+	 * @return {boolean} Whether the view changed
+	 */
+	_set(view, originalEvent) {
+		view = this._constrain(view);
+		if (view.x === this._view.x && view.y === this._view.y && view.scale === this._view.scale) return false;
+
+		this._view = view;
+		this._apply();
+		this._element.dispatchEvent(new CustomEvent("panzoomchange", { detail: { ...view, originalEvent: originalEvent } }));
+		return true;
+	}
+
+	/**
+	 * Transform the element to the current view.
+	 * @protected
+	 */
+	_apply() {
+		this._element.style.transform = `scale(${this._view.scale}) translate(${this._view.x}px, ${this._view.y}px)`;
+	}
+}
+
+export default PanZoomController
@@ -0,0 +1,108 @@
+/**
+ * Class moving a playhead along the time axis at a steady speed, to play a diagram through time. This is used by the main Timeline class, which shows the diagram as at the playhead.
+ * Positions are in px along the time axis, and the speed is in years per second.
+ * The playhead is moved with requestAnimationFrame, and stops at the end of the axis.
+ */
+class Playback {
+
+	/**
+	 * @param {number} length - The length of the time axis in px
+	 * @param {number} yearWidth - The width in px of each year
+	 * @param {number} speed - The speed in years per second
+	 * @param {function} onChange - Called with the position whenever the playhead moves
+	 * @param {function} onEnd - Called when the playhead reaches the end and stops
+	 */
+	constructor(length, yearWidth, speed, onChange, onEnd) {
+		this._length = length;
+		this._yearWidth = yearWidth;
+		this._onChange = onChange;
+		this._onEnd = onEnd;
+		this._position = 0;
+		this._frame = null;
+		this.setSpeed(speed);
+	}
+
+	/**
+	 * Whether the playhead is moving.
+	 * @return {boolean}
+	 */
+	get playing() {
+		return this._frame !== null;
+	}
+
+	/**
+	 * The position of the playhead in px along the time axis.
+	 * @return {number}
+	 */
+	get position() {
+		return this._position;
+	}
+
+	/**
+	 * The speed in years per second.
+	 * @return {number}
+	 */
+	get speed() {
+		return this._speed;
+	}
+
+	/**
+	 * Start moving the playhead. If it is at the end, it starts again from the beginning.
+	 */
+	play() {
+		if (this.playing) return;
+		if (this._position >= this._length) {
+			this.seek(0);
+		}
+
+		let last = performance.now();
+		const step = (now) => {
+			const position = Math.min(this._position + (now - last) / 1000 * this._speed * this._yearWidth, this._length);
+			last = now;
+			this._frame = ( position < this._length ? requestAnimationFrame(step) : null );
+			this._move(position);
+			if (position >= this._length) this._onEnd();
+		};
+		this._frame = requestAnimationFrame(step);
+	}
+
+	/**
+	 * Stop moving the playhead, leaving it where it is.
+	 */
+	pause() {
+		if (!this.playing) return;
+		cancelAnimationFrame(this._frame);
+		this._frame = null;
+	}
+
+	/**
+	 * Move the playhead, whether playing or not.
+	 * @param {number} position - The position in px along the time axis. This is kept within the axis.
+	 */
+	seek(position) {
+		this._move(Math.min(Math.max(position, 0), this._length));
+	}
+
+	/**
+	 * Set the speed.
+	 * @param {number} speed - The speed in years per second
+	 */
+	setSpeed(speed) {
+		if (!(speed > 0)) {
+			throw new Error(`Invalid playback speed "${speed}". The speed must be a number of years per second greater than 0.`);
+		}
+		this._speed = Number(speed);
+	}
+
+	/**
+	 * Move the playhead to a position within the axis.
+	 * @protected
+	 * @param {number} position
+	 */
+	_move(position) {
+		this._position = position;
+		this._onChange(position);
+	}
+}
+
+export default Playback
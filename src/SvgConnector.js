@@ -81,6 +81,92 @@ class SvgConnector {
 		return svg;
 	}
 	
+	/**
+	 * Create an SVG layer to hold connectors drawn with drawPath(). Connectors in a layer share their marker definitions.
+	 * The layer should be appended to the document as needed by the caller.
+	 *
+	 * @static
+	 * @param {string} id - A unique ID for the layer, also used as a prefix for the marker IDs
+	 * @return {object}
+	 */
+	static createLayer(id) {
+		const svg = document.createElementNS(svgns, "svg");
+		svg.id = id;
+		svg.classList.add("connectors");
+		svg.append(document.createElementNS(svgns, "defs"));
+		return svg;
+	}
+	
+	/**
+	 * Create an SVG path drawing a line between the specified start and end points, for a layer created with createLayer().
+	 * Unlike draw(), the coordinates are those of the layer, and any markers are shared definitions in the layer.
+	 * The path returned should be appended to the layer (or a group within it) as needed by the caller.
+	 *
+	 * @static
+	 * @param {object} settings - The same settings as for draw()
+	 * @param {object} layer - The layer the path will be added to
+	 * @return {object}
+	 */
+	static drawPath({
+		start,
+		end,
+		stroke,
+		colour,
+		markers = [],
+		dashes = "",
+		title = ""
+	} = {}, layer) {
+		const path = document.createElementNS(svgns, "path");
+		path.setAttribute("d", `M ${start.x} ${start.y} L ${end.x} ${end.y}`);
+		path.setAttribute("stroke-width", stroke);
+		path.setAttribute("stroke-dasharray", dashes);
+		path.setAttribute("stroke", "currentColor");
+		path.setAttribute("fill", "none");
+		path.style.color = colour;
+		
+		if (markers[0] && markers[0] !== "dots") {
+			path.setAttribute("marker-start", `url(#${this._getMarker(layer, markers[0], colour)})`);
+		}
+		if (markers[1]) {
+			path.setAttribute("marker-end", `url(#${this._getMarker(layer, markers[1], colour)})`);
+		}
+		if(title) {
+			path.append(this._createTitle(title));
+		}
+		return path;
+	}
+	
+	/**
+	 * Get the ID of the marker of the given type and colour in the layer, creating it if it doesn't yet exist.
+	 * Marker contents are drawn in units of the stroke width, so they are the same size as those drawn by draw().
+	 * @param {object} layer
+	 * @param {string} type - "circle", "square" or "dots"
+	 * @param {string} colour
+	 * @return {string}
+	 */
+	static _getMarker(layer, type, colour) {
+		const defs = layer.querySelector("defs");
+		const key = `${type} ${colour}`;
+		let marker = [...defs.children].find(m => m.dataset.key === key);
+		if (marker) return marker.id;
+		
+		marker = document.createElementNS(svgns, "marker");
+		marker.id = `${layer.id}-marker-${defs.childElementCount}`;
+		marker.dataset.key = key;
+		marker.style.color = colour;
+		marker.setAttribute("markerUnits", "strokeWidth");
+		marker.setAttribute("overflow", "visible");
+		
+		if (type == "circle") marker.append(this.drawCircle(0, 0, 1));
+		if (type == "square") marker.append(this.drawSquare(-1, -1, 2.5));
+		if (type == "dots") {
+			marker.setAttribute("orient", "auto");
+			marker.append(this.drawLine({ x1: 0, y1: 0, x2: 5, y2: 0 }, 1, "0 1 1 1 1"));
+		}
+		defs.append(marker);
+		return marker.id;
+	}
+	
 	/**
 	 * Add a marker to the svg provided at the end specified.
 	 * @param {object} svg
@@ -94,7 +180,9 @@ class SvgConnector {
 		if (type == "circle") svg.append(this._drawCircleMarker(pos, coords, stroke));
 		if (type == "square") svg.append(this._drawSquareMarker(pos, coords, stroke));
 		if (type == "dots" && pos == "end") {
-			svg.setAttribute("width", parseInt(svg.getAttribute("width")) + stroke*2);
+			//Extend the canvas along the direction of the line, to make room for the dots
+			const dimension = (Math.abs(coords.y2 - coords.y1) > Math.abs(coords.x2 - coords.x1) ? "height" : "width");
+			svg.setAttribute(dimension, parseInt(svg.getAttribute(dimension)) + stroke*2);
 			svg.append(this._drawDotsEnd(coords, stroke));
 		}
 		return svg;
@@ -135,20 +223,26 @@ class SvgConnector {
 	 */
 	static _drawDotsEnd(coords, stroke) {
 		
+		//The dots extend furthest along the main direction of the line
+		let [xLength, yLength] = [stroke*5, stroke*2];
+		if (Math.abs(coords.y2 - coords.y1) > Math.abs(coords.x2 - coords.x1)) {
+			[xLength, yLength] = [yLength, xLength];
+		}
+		
 		let x2 = coords.x2;
 		if (coords.x2 < coords.x1) {
-			x2 = coords.x2 - stroke*5;
+			x2 = coords.x2 - xLength;
 		}
 		if (coords.x2 > coords.x1) {
-			x2 = coords.x2 + stroke*5;
+			x2 = coords.x2 + xLength;
 		}
 		
 		let y2 = coords.y2;
 		if (coords.y2 < coords.y1) {
-			y2 = coords.y2 - stroke*2;
+			y2 = coords.y2 - yLength;
 		}
 		if (coords.y2 > coords.y1) {
-			y2 = coords.y2 + stroke*2;
+			y2 = coords.y2 + yLength;
 		}
 		
 		const dotCoords = {
@@ -0,0 +1,427 @@
+const svgns = "http://www.w3.org/2000/svg";
+
+/**
+ * A class for exporting a drawn diagram as a single, self-contained SVG.
+ * Each part of the diagram is redrawn in SVG from its position and computed style in the document,
+ * so colours and sizes set with CSS properties are resolved to their current values.
+ */
+class SvgExporter {
+
+	/**
+	 * @param {HTMLElement} container - The container of a diagram that has been drawn
+	 */
+	constructor(container) {
+		this._container = container;
+		this._clipCount = 0;
+	}
+
+	/**
+	 * Create the SVG element for the diagram.
+	 * @return {SVGElement}
+	 */
+	export() {
+		const width = this._container.offsetWidth;
+		const height = this._container.offsetHeight;
+		const status = window.getComputedStyle(this._container);
+
+		const svg = document.createElementNS(svgns, "svg");
+		svg.setAttribute("width", width);
+		svg.setAttribute("height", height);
+		svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+		svg.setAttribute("font-family", status.getPropertyValue("font-family"));
+		svg.append(this._rect(0, 0, width, height, { fill: status.getPropertyValue("background-color") }));
+
+		//Parts are added in the same order as they are stacked in the diagram
+		for (const guide of this._container.querySelectorAll(":scope > .guide")) {
+			this._addBlock(svg, guide);
+		}
+		for (const lane of this._container.querySelectorAll(":scope > .lane")) {
+			this._addBlock(svg, lane);
+		}
+		for (const period of this._container.querySelectorAll(":scope > .period:not(.filtered)")) {
+			this._addPeriod(svg, period);
+		}
+		for (const dates of this._container.querySelectorAll(":scope > .dates")) {
+			this._addDates(svg, dates);
+		}
+		for (const connector of this._container.querySelectorAll(":scope > svg")) {
+			this._addConnector(svg, connector);
+		}
+		for (const summary of this._container.querySelectorAll(":scope > .lane-summary")) {
+			this._addBlock(svg, summary);
+		}
+		for (const entry of this._container.querySelectorAll(":scope > .entry")) {
+			this._addEntry(svg, entry);
+		}
+		for (const header of this._container.querySelectorAll(":scope > .lane-header")) {
+			this._addLabel(svg, header);
+		}
+		for (const event of this._container.querySelectorAll(":scope > .event")) {
+			this._addEvent(svg, event);
+		}
+		return svg;
+	}
+
+	/**
+	 * Return the exported SVG as a string.
+	 * @return {string}
+	 */
+	toString() {
+		return new XMLSerializer().serializeToString(this.export());
+	}
+
+	/**
+	 * Add a block element (such as a guide) as a rectangle with its background and borders.
+	 * @protected
+	 * @param {SVGElement} svg
+	 * @param {HTMLElement} el
+	 */
+	_addBlock(svg, el) {
+		const {x, y} = this._getOffset(el);
+		const status = window.getComputedStyle(el);
+		svg.append(this._rect(x, y, el.offsetWidth, el.offsetHeight, { fill: status.getPropertyValue("background-color") }));
+		this._addBorders(svg, el, x, y);
+	}
+
+	/**
+	 * Add a period's band, with its label.
+	 * @protected
+	 * @param {SVGElement} svg
+	 * @param {HTMLElement} period
+	 */
+	_addPeriod(svg, period) {
+		this._addBlock(svg, period);
+		const label = period.querySelector(".period-label");
+		if (label) this._addLabel(svg, label);
+	}
+	
+	/**
+	 * Add a label, such as a period's label or a lane's header, with its background, borders and text.
+	 * @protected
+	 * @param {SVGElement} svg
+	 * @param {HTMLElement} label
+	 */
+	_addLabel(svg, label) {
+		const {x, y} = this._getOffset(label);
+		const status = window.getComputedStyle(label);
+		const padding = parseFloat(status.getPropertyValue("padding-left")) || 0;
+		const fontSize = parseFloat(status.getPropertyValue("font-size"));
+		svg.append(this._rect(x, y, label.offsetWidth, label.offsetHeight, { fill: status.getPropertyValue("background-color") }));
+		this._addBorders(svg, label, x, y);
+		svg.append(this._text(label.textContent, x + padding, y + padding + fontSize, {
+			fill: status.getPropertyValue("color"),
+			"font-size": fontSize
+		}));
+	}
+	
+	/**
+	 * Add a date line, with its labels.
+	 * @protected
+	 * @param {SVGElement} svg
+	 * @param {HTMLElement} dates
+	 */
+	_addDates(svg, dates) {
+		this._addBlock(svg, dates);
+		for (const date of dates.querySelectorAll("date")) {
+			const {x, y} = this._getOffset(date);
+			const status = window.getComputedStyle(date);
+			const padding = parseFloat(status.getPropertyValue("padding-left"));
+			const fontSize = parseFloat(status.getPropertyValue("font-size"));
+
+			this._addBorders(svg, date, x, y);
+			svg.append(this._text(date.textContent, x + padding, y + padding + fontSize, {
+				fill: status.getPropertyValue("color"),
+				"font-size": fontSize,
+				"font-weight": status.getPropertyValue("font-weight")
+			}));
+		}
+	}
+
+	/**
+	 * Add a connector, or a layer of connectors, with colours resolved.
+	 * @protected
+	 * @param {SVGElement} svg
+	 * @param {SVGElement} connector
+	 */
+	_addConnector(svg, connector) {
+		const clone = connector.cloneNode(true);
+		clone.removeAttribute("style");
+		clone.removeAttribute("id");
+
+		if (connector.classList.contains("connectors")) {
+			//A connector layer: resolve the colour of each path and marker
+			const originals = connector.querySelectorAll("path, marker");
+			clone.querySelectorAll("path, marker").forEach((el, i) => {
+				el.style.color = window.getComputedStyle(originals[i]).getPropertyValue("color");
+			});
+			clone.setAttribute("overflow", "visible");
+		} else {
+			clone.setAttribute("x", parseFloat(connector.style.left));
+			clone.setAttribute("y", parseFloat(connector.style.top));
+			clone.style.color = window.getComputedStyle(connector).getPropertyValue("color");
+		}
+		svg.append(clone);
+	}
+
+	/**
+	 * Add an entry box with its name.
+	 * @protected
+	 * @param {SVGElement} svg
+	 * @param {HTMLElement} entry
+	 */
+	_addEntry(svg, entry) {
+		const {x, y} = this._getOffset(entry);
+		const w = entry.offsetWidth;
+		const h = entry.offsetHeight;
+		const status = window.getComputedStyle(entry);
+		const border = parseFloat(status.getPropertyValue("border-top-width")) || 0;
+		const fontSize = parseFloat(status.getPropertyValue("font-size"));
+
+		const g = document.createElementNS(svgns, "g");
+		g.setAttribute("clip-path", `url(#${this._addClip(svg, x, y, w, h)})`);
+
+		g.append(this._rect(x + border/2, y + border/2, w - border, h - border, {
+			fill: status.getPropertyValue("background-color"),
+			stroke: status.getPropertyValue("border-top-color"),
+			"stroke-width": border,
+			rx: this._getRadius(status.getPropertyValue("border-top-left-radius"), w)
+		}));
+
+		//Entries starting before the timeline have an arrow at the start
+		let [textX, textW, textY] = [x, w, y];
+		if (entry.classList.contains("preexists")) {
+			const before = window.getComputedStyle(entry, "::before");
+			const vertical = this._container.classList.contains("timeline-vertical");
+			const size = fontSize * 1.2;
+			const [bw, bh] = (vertical ? [w, size] : [size, h]);
+			g.append(this._rect(x, y, bw, bh, { fill: before.getPropertyValue("background-color") }));
+			g.append(this._text((vertical ? "▲" : "◀"), x + bw/2, y + bh/2 + fontSize/3, {
+				fill: before.getPropertyValue("color"),
+				"font-size": fontSize,
+				"text-anchor": "middle"
+			}));
+			if (vertical) {
+				textY += size;
+			} else {
+				textX += size;
+				textW -= size;
+			}
+		}
+
+		const padding = border + parseFloat(status.getPropertyValue("padding-top"));
+		const lines = this._wrapText(entry.textContent.trim(), textW - padding*2, `${fontSize}px ${status.getPropertyValue("font-family")}`);
+		const text = this._text("", textX + textW/2, textY + padding + fontSize, {
+			fill: status.getPropertyValue("color"),
+			"font-size": fontSize,
+			"text-anchor": "middle"
+		});
+		lines.forEach((line, i) => {
+			const tspan = document.createElementNS(svgns, "tspan");
+			tspan.setAttribute("x", textX + textW/2);
+			if (i > 0) tspan.setAttribute("dy", fontSize * 1.2);
+			tspan.append(document.createTextNode(line));
+			text.append(tspan);
+		});
+		g.append(text);
+
+		const title = document.createElementNS(svgns, "title");
+		title.append(document.createTextNode(entry.textContent.trim()));
+		g.append(title);
+
+		svg.append(g);
+	}
+
+	/**
+	 * Add an event marker, with its content as a title.
+	 * @protected
+	 * @param {SVGElement} svg
+	 * @param {HTMLElement} event
+	 */
+	_addEvent(svg, event) {
+		const {x, y} = this._getOffset(event);
+		const w = event.offsetWidth;
+		const marker = window.getComputedStyle(event, "::after");
+		const border = parseFloat(marker.getPropertyValue("border-top-width")) || 0;
+
+		const g = document.createElementNS(svgns, "g");
+		const circle = document.createElementNS(svgns, "circle");
+		circle.setAttribute("cx", x + w/2);
+		circle.setAttribute("cy", y + w/2);
+		circle.setAttribute("r", (w - border)/2);
+		circle.setAttribute("fill", marker.getPropertyValue("background-color"));
+		circle.setAttribute("stroke", marker.getPropertyValue("border-top-color"));
+		circle.setAttribute("stroke-width", border);
+		g.append(circle);
+		g.append(this._text("i", x + w/2, y + w*0.7, {
+			fill: marker.getPropertyValue("color"),
+			"font-family": "monospace",
+			"font-weight": 700,
+			"font-size": w*0.6,
+			"text-anchor": "middle"
+		}));
+
+		const title = document.createElementNS(svgns, "title");
+		title.append(document.createTextNode(`${event.dataset.year}: ${event.textContent.trim()}`));
+		g.append(title);
+		svg.append(g);
+	}
+
+	/**
+	 * Draw the visible borders of an element as lines.
+	 * @protected
+	 * @param {SVGElement} svg
+	 * @param {HTMLElement} el
+	 * @param {number} x
+	 * @param {number} y
+	 */
+	_addBorders(svg, el, x, y) {
+		const status = window.getComputedStyle(el);
+		const w = el.offsetWidth;
+		const h = el.offsetHeight;
+		const sides = {
+			top: [x, y, x + w, y],
+			right: [x + w, y, x + w, y + h],
+			bottom: [x, y + h, x + w, y + h],
+			left: [x, y, x, y + h]
+		};
+
+		for (const [side, [x1, y1, x2, y2]] of Object.entries(sides)) {
+			const width = parseFloat(status.getPropertyValue(`border-${side}-width`));
+			const style = status.getPropertyValue(`border-${side}-style`);
+			if (!width || style === "none") continue;
+
+			const line = document.createElementNS(svgns, "line");
+			line.setAttribute("x1", x1);
+			line.setAttribute("y1", y1);
+			line.setAttribute("x2", x2);
+			line.setAttribute("y2", y2);
+			line.setAttribute("stroke", status.getPropertyValue(`border-${side}-color`));
+			line.setAttribute("stroke-width", width);
+			if (style === "dashed") {
+				line.setAttribute("stroke-dasharray", `${width*3} ${width*3}`);
+			}
+			svg.append(line);
+		}
+	}
+
+	/**
+	 * Add a rectangular clip path, and return its ID.
+	 * @protected
+	 * @param {SVGElement} svg
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} w
+	 * @param {number} h
+	 * @return {string}
+	 */
+	_addClip(svg, x, y, w, h) {
+		const id = `${this._container.id}-clip-${this._clipCount++}`;
+		const clip = document.createElementNS(svgns, "clipPath");
+		clip.id = id;
+		clip.append(this._rect(x, y, w, h));
+		svg.append(clip);
+		return id;
+	}
+
+	/**
+	 * Get the position of an element relative to the container.
+	 * Layout offsets are used, so the position is unaffected by any zoom transform on the container.
+	 * @protected
+	 * @param {HTMLElement} el
+	 * @return {object}
+	 */
+	_getOffset(el) {
+		let [x, y] = [0, 0];
+		while (el && el !== this._container) {
+			x += el.offsetLeft;
+			y += el.offsetTop;
+			el = el.offsetParent;
+		}
+		return { x: x, y: y };
+	}
+
+	/**
+	 * Convert a computed border radius to a length in px.
+	 * @protected
+	 * @param {string} radius
+	 * @param {number} width - The width of the element
+	 * @return {number}
+	 */
+	_getRadius(radius, width) {
+		if (radius.endsWith("%")) {
+			return width * parseFloat(radius) / 100;
+		}
+		return parseFloat(radius) || 0;
+	}
+
+	/**
+	 * Split text into lines that fit within the given width.
+	 * @protected
+	 * @param {string} text
+	 * @param {number} width
+	 * @param {string} font - A CSS font value, used to measure the text
+	 * @return {string[]}
+	 */
+	_wrapText(text, width, font) {
+		const context = document.createElement("canvas").getContext("2d");
+		let measure = (t) => t.length * parseFloat(font) * 0.55; //Approximate, if the text can't be measured
+		if (context) {
+			context.font = font;
+			measure = (t) => context.measureText(t).width;
+		}
+
+		const lines = [];
+		let line = "";
+		for (const word of text.split(/\s+/)) {
+			const test = (line ? `${line} ${word}` : word);
+			if (line && measure(test) > width) {
+				lines.push(line);
+				line = word;
+			} else {
+				line = test;
+			}
+		}
+		lines.push(line);
+		return lines;
+	}
+
+	/**
+	 * Create an SVG rectangle.
+	 * @protected
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {number} w
+	 * @param {number} h
+	 * @param {object} [attributes] - Other attributes to set
+	 * @return {SVGElement}
+	 */
+	_rect(x, y, w, h, attributes = {}) {
+		const rect = document.createElementNS(svgns, "rect");
+		for (const [k, v] of Object.entries({ x: x, y: y, width: w, height: h, ...attributes })) {
+			rect.setAttribute(k, v);
+		}
+		return rect;
+	}
+
+	/**
+	 * Create an SVG text element.
+	 * @protected
+	 * @param {string} content
+	 * @param {number} x
+	 * @param {number} y
+	 * @param {object} [attributes] - Other attributes to set
+	 * @return {SVGElement}
+	 */
+	_text(content, x, y, attributes = {}) {
+		const text = document.createElementNS(svgns, "text");
+		for (const [k, v] of Object.entries({ x: x, y: y, ...attributes })) {
+			text.setAttribute(k, v);
+		}
+		if (content) {
+			text.append(document.createTextNode(content));
+		}
+		return text;
+	}
+}
+
+export default SvgExporter
@@ -2,7 +2,19 @@
  * @module Timeline
  */
 import {defaultDiagramConfig, Diagram} from './Diagram.js';
-import {applyConfig} from './util.js';
+import {Layout} from './Layout.js';
+import DataLoader from './DataLoader.js';
+import Validator from './Validator.js';
+import SvgExporter from './SvgExporter.js';
+import KeyboardNavigator from './KeyboardNavigator.js';
+import DetailPanel from './DetailPanel.js';
+import Lineage from './Lineage.js';
+import PanZoomController from './PanZoomController.js';
+import Minimap from './Minimap.js';
+import UrlState from './UrlState.js';
+import EntrySearch from './EntrySearch.js';
+import Playback from './Playback.js';
+import {applyConfig, parseDate, isValidDate, formatYear} from './util.js';
 
 /**
  * The default configuration object for the Timeline
@@ -12,9 +24,43 @@ const defaultTimelineConfig = {
 	findForm: "timeline-find",
 	zoomIn: "timeline-zoom-in",
 	zoomOut: "timeline-zoom-out",
-	zoomReset: "timeline-zoom-reset"
+	zoomReset: "timeline-zoom-reset",
+	filterControls: "timeline-filter",
+	minimap: "timeline-minimap",
+	detailPanel: false,
+	highlightLineage: false,
+	lineageLinks: false,
+	semanticZoom: false,
+	lowDetailScale: 0.75,
+	highDetailScale: 2,
+	urlState: false,
+	urlStatePrefix: "",
+	playbackSpeed: 5,
+	playbackFollow: true,
+	playbackControls: "timeline-playback",
+	collapsedLanes: []
 }
 
+/**
+ * The delay in ms after the view stops changing before it is written to the URL.
+ */
+const urlStateDelay = 250;
+
+/**
+ * The speeds offered by the playback controls, in years per second.
+ */
+const playbackSpeeds = [ 1, 2, 5, 10, 20, 50 ];
+
+/**
+ * The most entries listed by the find form.
+ */
+const maxFindResults = 20;
+
+/**
+ * The attributes of the find form's input changed by the Timeline, to be restored by destroy().
+ */
+const finderAttributes = [ "autocomplete", "role", "aria-autocomplete", "aria-expanded", "aria-controls", "aria-activedescendant" ];
+
 /**
  * The class representing the Timeline.  This is the point of access to this tool.
  * The simplest usage is to instantiate a new Timeline object, and then call the create() method.
@@ -24,12 +70,26 @@ class Timeline {
 	/**
 	 * @param {string} [container = diagram] - The ID of the container element for the timeline.
 	 * @param {object} [config] - All config for the timeline
-	 * @param {(function|null)} [config.panzoom = null] - The Panzoom function to enable panning and zooming, or null to disable
+	 * @param {(boolean|function|null)} [config.panzoom = null] - true to enable the built-in panning and zooming, the Panzoom function to use Panzoom instead, or null to disable
 	 * @param {string} [config.findForm = timeline-find] - The ID of the find form
 	 * @param {string} [config.zoomIn = timeline-zoom-in] - The ID of the button to zoom in
 	 * @param {string} [config.zoomOut = timeline-zoom-out] - The ID of the button to zoom out
 	 * @param {string} [config.zoomReset = timeline-zoom-reset] - The ID of the button to reset the zoom level
-	 * @param {number} [config.yearStart = 1900] - the starting year for the timeline
+	 * @param {string} [config.filterControls = timeline-filter] - The ID of the element to add the filter controls to
+	 * @param {string} [config.minimap = timeline-minimap] - The ID of the element to draw the minimap in, if panning and zooming is enabled
+	 * @param {boolean} [config.detailPanel = false] - whether to show a panel with an entry's details when it is clicked
+	 * @param {boolean} [config.highlightLineage = false] - whether to highlight an entry's ancestors and descendants when it is hovered over or selected, dimming the other entries
+	 * @param {boolean} [config.lineageLinks = false] - whether the highlighted lineage also follows links between entries
+	 * @param {boolean} [config.semanticZoom = false] - whether to show less detail when zoomed out, and more when zoomed in (see Semantic zoom)
+	 * @param {number} [config.lowDetailScale = 0.75] - with semanticZoom, the zoom scale below which the diagram shows low detail
+	 * @param {number} [config.highDetailScale = 2] - with semanticZoom, the zoom scale from which the diagram shows high detail
+	 * @param {(boolean|string)} [config.urlState = false] - "hash" or "query" to keep the view's state in the URL's hash or query string (see URL state), or false to disable
+	 * @param {string} [config.urlStatePrefix = ""] - a prefix for the names of the URL state's parameters, to keep apart timelines on the same page
+	 * @param {number} [config.playbackSpeed = 5] - the speed of playback (see play()) in years per second
+	 * @param {boolean} [config.playbackFollow = true] - whether the view follows the playhead during playback, if panning and zooming is enabled
+	 * @param {string} [config.playbackControls = timeline-playback] - The ID of the element to add the playback controls to
+	 * @param {string[]} [config.collapsedLanes = []] - with swimlanes, the groups whose lanes are collapsed to start with
+	 * @param {number} [config.yearStart = 1900] - the starting year for the timeline. BCE years are negative, and there is no year 0.
 	 * @param {number} [config.yearEnd = Current year + 1] - the end year for the timeline
 	 * @param {number} [config.strokeWidth = 4] - the width in px of the joining lines
 	 * @param {number} [config.yearWidth = 50] - the width in px of diagram used for each year
@@ -37,14 +97,31 @@ class Timeline {
 	 * @param {number} [config.padding = 5] - the padding in px between rows
 	 * @param {number} [config.boxWidth = 100] - the width in px of each entry
 	 * @param {boolean} [config.guides = true] - whether to draw striped guides at regular intervals in the timeline
-	 * @param {number} [config.guideInterval = 5] - the interval in years between guides (ignored if 'guides' is false)
+	 * @param {(number|string)} [config.guideInterval = 5] - the interval in years between guides (ignored if 'guides' is false), or "auto" to choose one to suit yearWidth
+	 * @param {(number|string)} [config.labelInterval = auto] - the interval in years between date labels, or "auto" to choose one to suit yearWidth (e.g. 5 years at 50px per year, or 100 at 2px)
+	 * @param {(function|null)} [config.labelFormatter = null] - a function taking a year (negative for BCE) and returning its date label. By default, BCE years are shown as e.g. "500 BCE".
 	 * @param {string} [config.entrySelector = div] - the CSS selector used for entries
+	 * @param {string} [config.orientation = horizontal] - the direction of the time axis: "horizontal" (left to right) or "vertical" (top to bottom)
+	 * @param {string} [config.rowLayout = basic] - how rows are chosen for entries without a manual row: "basic" or "min-crossings" (see Entry Positioning)
+	 * @param {boolean} [config.swimlanes = false] - whether to give each group of entries rows of its own, drawn as a lane with a header to collapse and expand it (see Swimlanes)
+	 * @param {boolean} [config.strict = false] - whether to refuse to draw the timeline if validate() finds any errors, throwing an error instead
+	 * @param {boolean} [config.connectorLayer = false] - whether to draw all connectors in a single SVG layer, instead of a separate SVG element for each
+	 * @param {boolean} [config.collapseGroups = false] - with semanticZoom, whether to show each group of entries as a single band at low detail
 	 * @param {object[]} [entries = []] - The Timeline entries as an array of objects
 	 * @param {object[]} [events = []] - Events as an array of objects
+	 * @param {object[]} [periods = []] - Periods as an array of objects (see addPeriod())
 	 */
-	constructor(container = "diagram", config = {}, entries = [], events = []) {
+	constructor(container = "diagram", config = {}, entries = [], events = [], periods = []) {
 		this._container = container;
 		this._setConfig(config);
+		this._filter = null;
+		this._filterState = { filter: null, hidden: null };
+		if (Array.isArray(this._config.collapsedLanes)) {
+			this._collapsedLanes = this._config.collapsedLanes.map(String);
+		} else {
+			console.warn("Invalid collapsedLanes. This must be an array of groups.");
+			this._collapsedLanes = [];
+		}
 		
 		for (const entry of entries) {
 			this.addEntry(entry);
@@ -52,6 +129,98 @@ class Timeline {
 		for (const event of events) {
 			this.addEvent(event);
 		}
+		for (const period of periods) {
+			this.addPeriod(period);
+		}
+	}
+	
+	/**
+	 * Calculate the layout of a timeline without drawing it. This doesn't use the DOM, so can be used e.g. in Node to render the diagram on the server.
+	 * The result is plain data, which can be serialised as JSON. All coordinates are in px, relative to the top left of the diagram.
+	 * @public
+	 * @static
+	 * @param {object[]} entries - The Timeline entries as an array of objects, in the same format as for the constructor
+	 * @param {object[]} [events = []] - Events as an array of objects. To be centred correctly, events can also be given a width and height in px.
+	 * @param {object} [config = {}] - The config for the diagram, as for the constructor. Settings which don't affect the layout are ignored.
+	 * @param {string[]} [hidden = []] - The IDs of entries to leave out, e.g. to filter the diagram (see filter())
+	 * @param {object[]} [periods = []] - Periods as an array of objects, as for addPeriod()
+	 * @param {string[]} [collapsed = []] - With swimlanes, the groups whose lanes are collapsed (see collapseLane())
+	 * @return {object} The layout, with the diagram's size and number of rows, and the positions of entries, connectors, events, dates, guides, periods and swimlanes.
+	 */
+	static layout(entries, events = [], config = {}, hidden = [], periods = [], collapsed = []) {
+		return new Layout(config).calculate(entries, events, hidden, periods, collapsed);
+	}
+	
+	/**
+	 * Create a Timeline with entries, events and periods loaded from JSON.
+	 * The JSON must be an object with "entries", "events" and "periods" arrays, in the same format as for addEntry(), addEvent() and addPeriod(), or an array of entries.
+	 * It may also have a "config" object, which is applied before the config parameter.
+	 * Records that aren't valid are skipped, and listed in the Timeline's loadErrors.
+	 * @public
+	 * @static
+	 * @param {string|object} source - The URL of a JSON file, or the parsed JSON data
+	 * @param {string} [container = diagram] - The ID of the container element for the timeline
+	 * @param {object} [config = {}] - Config for the timeline, as for the constructor
+	 * @return {Promise<Timeline>} A promise resolving to the Timeline, which must then be created with create()
+	 */
+	static fromJSON(source, container = "diagram", config = {}) {
+		const data = (typeof source === "string" ? fetch(source).then(response => {
+			if (!response.ok) {
+				throw new Error(`Unable to load timeline data from ${source}: ${response.status} ${response.statusText}`);
+			}
+			return response.json();
+		}) : Promise.resolve(source));
+		
+		return data.then(json => {
+			const fileConfig = (json && typeof json.config === "object" ? json.config : {});
+			const timeline = new Timeline(container, { ...fileConfig, ...config });
+			timeline._load(DataLoader.fromJSON(json));
+			return timeline;
+		});
+	}
+	
+	/**
+	 * Create a Timeline with entries and events loaded from CSV text, e.g. exported from a spreadsheet.
+	 * The first row must name the columns. Each row is an entry, unless it has a "type" column with the value "event" or "period".
+	 * Columns are matched to the properties used by addEntry(), addEvent() and addPeriod() by name, either as the property (e.g. "endEstimate") or as a data attribute (e.g. "data-end-estimate").
+	 * Other column names can be mapped to properties with the columns parameter.
+	 * Records that aren't valid are skipped, and listed in the Timeline's loadErrors.
+	 * @public
+	 * @static
+	 * @param {string} text - The CSV text
+	 * @param {string} [container = diagram] - The ID of the container element for the timeline
+	 * @param {object} [config = {}] - Config for the timeline, as for the constructor
+	 * @param {object} [columns = {}] - A map of property names to column names, e.g. { name: "Party", start: "Founded" }
+	 * @return {Timeline} The Timeline, which must then be created with create()
+	 */
+	static fromCSV(text, container = "diagram", config = {}, columns = {}) {
+		const timeline = new Timeline(container, config);
+		timeline._load(DataLoader.fromCSV(text, columns));
+		return timeline;
+	}
+	
+	/**
+	 * Add the entries, events and periods read by the DataLoader, and record any errors in loadErrors.
+	 * @protected
+	 * @param {object[]} records
+	 */
+	_load(records) {
+		const types = {
+			entry: { check: (data) => this._checkEntry(data), add: (data) => this.addEntry(data) },
+			event: { check: (data) => this._checkEvent(data), add: (data) => this.addEvent(data) },
+			period: { check: (data) => this._checkPeriod(data), add: (data) => this.addPeriod(data) }
+		};
+		
+		this.loadErrors = [];
+		for (const record of records) {
+			const error = record.error ?? types[record.type].check(record.data);
+			if (error) {
+				this.loadErrors.push({ source: record.source, message: error });
+				console.warn(`Invalid timeline data at ${record.source}: ${error}`);
+			} else {
+				types[record.type].add(record.data);
+			}
+		}
 	}
 	
 	/**
@@ -59,21 +228,170 @@ class Timeline {
 	 * @public
 	 */
 	create() {
-		const d = new Diagram(this._container, this._diagramConfig);
-		this._diagram = d.create();
+		this._checkStrict();
+		this._listeners = [];
+		this._timeouts = [];
+		this._diagramInstance = new Diagram(this._container, this._diagramConfig);
+		this._diagramInstance.setFilter(this._filter);
+		this._diagramInstance.setCollapsedLanes(this._collapsedLanes);
+		this._diagram = this._diagramInstance.create();
+		this._initEvents();
+		this._initKeyboard();
+		this._initFilterControls();
+		if (this._config.highlightLineage === true) {
+			this._initLineage();
+		}
 
-		if (typeof this._config.panzoom === "function") {
+		if (this._config.panzoom === true || typeof this._config.panzoom === "function") {
 			this._initPanzoom();
 			this._initControls();
-			window.addEventListener('hashchange', (e) => this._hashHandler(e));
+			this._initMinimap();
+			this._listen(window, 'hashchange', (e) => this._hashHandler(e));
+		}
+		if (this._config.detailPanel === true) {
+			this._initDetailPanel();
+		}
+		if (this._config.semanticZoom === true) {
+			this._setDetailLevel(this._pz ? this._pz.getScale() : 1);
+		}
+		this._initPlayback();
+		if (this._config.urlState !== false) {
+			this._initUrlState();
 		}
 		if (location.hash) {
-			setTimeout(() => {
+			this._setTimeout(() => {
 				this._hashHandler();
 			});
 		}
 	}
 	
+	/**
+	 * Remove the Timeline. All event listeners are removed, and the container, controls and document styles are restored to how they were before create() was called.
+	 * Entries and events added or changed after create() are discarded.
+	 * The Timeline can be drawn again by calling create().
+	 * @public
+	 */
+	destroy() {
+		if (!this._diagramInstance) return;
+		
+		for (const id of this._timeouts) {
+			clearTimeout(id);
+		}
+		clearTimeout(this._urlStateTimeout);
+		for (const listener of this._listeners) {
+			listener.target.removeEventListener(listener.type, listener.handler);
+		}
+		
+		if (this._findConfig) {
+			this._destroyFindForm();
+		}
+		if (this._detailPanel) {
+			this._detailPanel.destroy();
+		}
+		if (this._filterControls) {
+			this._destroyFilterControls();
+		}
+		if (this._minimap) {
+			this._minimap.destroy();
+		}
+		this._playback.pause();
+		if (this._playbackControls) {
+			this._destroyPlaybackControls();
+		}
+		if (this._pz) {
+			this._pz.destroy();
+			const wrap = this._diagram.parentElement;
+			wrap.replaceWith(this._diagram);
+		}
+		this._diagramInstance.destroy();
+		
+		this._diagramInstance = undefined;
+		this._diagram = undefined;
+		this._pz = undefined;
+		this._findConfig = undefined;
+		this._navigator = undefined;
+		this._detailPanel = undefined;
+		this._filterControls = undefined;
+		this._minimap = undefined;
+		this._playback = undefined;
+		this._playbackControls = undefined;
+		this._playbackYear = undefined;
+		this._lineage = undefined;
+		this._selectedLineage = undefined;
+		this._urlState = undefined;
+		this._urlStatePush = undefined;
+		this._urlStateTimeout = undefined;
+		this._eventStates = undefined;
+		this._view = undefined;
+		this._detailLevel = undefined;
+	}
+	
+	/**
+	 * Export the diagram as a standalone SVG image, including the entries, connectors, events, guides and dates.
+	 * Colours and sizes are taken from the diagram as currently styled, so CSS properties such as the `--tl-*` variables are resolved.
+	 * The Timeline must have been created first.
+	 * @public
+	 * @return {string} The SVG document
+	 */
+	exportSVG() {
+		if (!this._diagram) {
+			throw new Error("The Timeline must be created before it can be exported.");
+		}
+		return new SvgExporter(this._diagram).toString();
+	}
+	
+	/**
+	 * Export the diagram as a PNG image. This is drawn from the SVG returned by exportSVG().
+	 * @public
+	 * @param {number} [scale = 1] - The scale of the image relative to the diagram. Use e.g. 2 for a higher resolution image.
+	 * @return {Promise<Blob>} A promise resolving to the PNG image data
+	 */
+	exportPNG(scale = 1) {
+		const svg = this.exportSVG();
+		return new Promise((resolve, reject) => {
+			const img = new Image();
+			img.onload = () => {
+				const canvas = document.createElement("canvas");
+				canvas.width = img.width * scale;
+				canvas.height = img.height * scale;
+				const context = canvas.getContext("2d");
+				context.scale(scale, scale);
+				context.drawImage(img, 0, 0);
+				canvas.toBlob((blob) => {
+					if (blob) {
+						resolve(blob);
+					} else {
+						reject(new Error("Unable to create the PNG image."));
+					}
+				}, "image/png");
+			};
+			img.onerror = () => reject(new Error("Unable to draw the SVG image."));
+			img.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svg);
+		});
+	}
+	
+	/**
+	 * Add an event listener, keeping it to be removed by destroy().
+	 * @protected
+	 * @param {EventTarget} target
+	 * @param {string} type
+	 * @param {function} handler
+	 */
+	_listen(target, type, handler) {
+		target.addEventListener(type, handler);
+		this._listeners.push({ target: target, type: type, handler: handler });
+	}
+	
+	/**
+	 * Set a timeout, keeping it to be cleared by destroy().
+	 * @protected
+	 * @param {function} callback
+	 * @param {number} [delay = 0]
+	 */
+	_setTimeout(callback, delay = 0) {
+		this._timeouts.push(setTimeout(callback, delay));
+	}
+	
 	/**
 	 * Take the provided config, separate config for the Diagram drawing class, and add in defaults for undefined properties.
 	 * @protected
@@ -90,12 +408,9 @@ class Timeline {
 	 * @param {object} data
 	 */
 	addEntry(data) {
-		if (document.getElementById(data.id)) {
-			console.warn(`Invalid entry: ${data.id} already exists.`);
-			return;
-		}
-		if (![ "id", "name", "start" ].every((i) => Object.hasOwn(data, i))) {
-			console.warn(`Invalid entry: ${JSON.stringify(data)}. Entries must have at least id, name and start values.`);
+		const error = this._checkEntry(data);
+		if (error) {
+			console.warn(`Invalid entry: ${error}`);
 			return;
 		}
 		
@@ -115,8 +430,9 @@ class Timeline {
 	 * @param {object} data
 	 */
 	addEvent(data) {
-		if (!data.year || ! data.content) {
-			console.warn(`Invalid event: ${JSON.stringify(data)}. Events must have at least a year and content property.`);
+		const error = this._checkEvent(data);
+		if (error) {
+			console.warn(`Invalid event: ${error}`);
 			return;
 		}
 		
@@ -131,211 +447,2003 @@ class Timeline {
 	}
 	
 	/**
-	 * If Panzoom is enabled, pan to the element with the given ID, and reset the zoom.
+	 * Add a single period: a named span of time, such as an era or a government's term, shown as a labelled band across the diagram.
+	 * Periods can also be given as elements with the class "period" in the container, with the name as their content and the other properties as data attributes.
 	 * @public
-	 * @param {string} id - The ID of a timeline entry
-	 * @fires Timeline#timelineFind
+	 * @param {object} data
+	 * @param {string} data.name - The label
+	 * @param {number|string} data.start - The start date
+	 * @param {number|string} data.end - The end date, which must be after the start
+	 * @param {string} [data.colour] - The colour of the band
+	 * @param {string} [data.groups] - A space-separated list of groups. If given, the band only covers the rows of the entries in these groups.
+	 * @param {string} [data.rows] - The first and last rows for the band to cover, separated by a space (e.g. "0 3"), or a single row, if not using groups
 	 */
-	panToEntry(id) {
-		if (typeof this._pz === "undefined") {
-			throw new Error("Panzoom module missing. Include Panzoom to use the pan-to-entry feature.");
+	addPeriod(data) {
+		const error = this._checkPeriod(data);
+		if (error) {
+			console.warn(`Invalid period: ${error}`);
+			return;
 		}
 		
-		const target = document.getElementById(id);
-		const x = window.innerWidth/2 - parseInt(target.style.left) - this._diagramConfig.boxWidth/2;
-		const y = window.innerHeight/2 - parseInt(target.style.top) - this._diagramConfig.rowHeight/2;
-				
-		this._pz.zoom(1);
-		this._pz.pan(x, y);
-		
-		const tlFind = new CustomEvent('timelineFind', { detail: { id: id, name: target.innerText } });
-		document.getElementById(this._container).dispatchEvent(tlFind);
-		
-		setTimeout( () => { target.classList.add("highlight", "hover") }, 500);	
-		setTimeout( () => { target.classList.remove("highlight", "hover") }, 2000);
+		const period = document.createElement("div");
+		period.classList.add("period");
+		period.innerText = data.name;
+		for (const k of Object.keys(data)) {
+			if (k == "name") continue;
+			period.dataset[k] = data[k];
+		}
+		document.getElementById(this._container).append(period);
 	}
 	
 	/**
-	 * The timelineFind event is fired when panToEntry() is called. (Only applicable if Panzoom is enabled).
-	 * @event Timeline#timelineFind
-	 * @type {object}
+	 * Remove all periods with the given name.
+	 * If the Timeline has already been created, call refresh() to apply the change.
 	 * @public
-	 * @property {object} details
-	 * @property {string} details.id - the ID of the entry
-	 * @property {string} details.name - the name of the entry
+	 * @param {string} name - The name of the period
+	 * @return {number} The number of periods removed
 	 */
+	removePeriod(name) {
+		const matches = [...this._getElements().periods].filter(period => period.innerText === name);
+		for (const period of matches) {
+			period.remove();
+		}
+		if (matches.length === 0) {
+			console.warn(`Cannot remove period: no period is named "${name}".`);
+		}
+		return matches.length;
+	}
 	
 	/**
-	 * Bind the zoom controls to the configured element IDs, if present in the document.
-	 * Prepare empty container for entry filter if find form is present.
+	 * Check that an entry can be added, returning the reason if not.
 	 * @protected
+	 * @param {object} data
+	 * @return {string|null}
 	 */
-	_initControls() {
-		const zoomIn = document.getElementById(this._config.zoomIn);
-		const zoomOut = document.getElementById(this._config.zoomOut);
-		const reset = document.getElementById(this._config.zoomReset);
-		const find = document.getElementById(this._config.findForm);
-		
-		if(zoomIn) { zoomIn.addEventListener("click", this._pz.zoomIn) }
-		if(zoomOut) { zoomOut.addEventListener("click", this._pz.zoomOut) }
-		if(reset) { reset.addEventListener("click", () => this._pz.zoom(1)) }
-		if(find) {
-			this._initFindForm(find);
+	_checkEntry(data) {
+		if (this._getEntry(data.id)) {
+			return `${data.id} already exists.`;
+		}
+		if (![ "id", "name", "start" ].every((i) => Object.hasOwn(data, i))) {
+			return `${JSON.stringify(data)}. Entries must have at least id, name and start values.`;
+		}
+		if (!this._validDates(data, ["start", "end"])) {
+			return `${JSON.stringify(data)}. Dates must be a year, or in the format YYYY-MM or YYYY-MM-DD.`;
 		}
+		return null;
 	}
 	
 	/**
-	 * Set up the find form
+	 * Check that an event can be added, returning the reason if not.
 	 * @protected
+	 * @param {object} data
+	 * @return {string|null}
 	 */
-	_initFindForm(form) {
-		//Add the ID input
-		const idInput = document.createElement("input");
-		idInput.name = "find-id";
-		idInput.style.display = "none";
-		form.append(idInput);
-		
-		//Add the wrappers and container for the filtering results
-		const finder = form.querySelector("input[name=finder]");
-		const wrap = document.createElement("div");
-		const inner = document.createElement("div");
-		const results = document.createElement("ul");
-		wrap.classList.add("filtered-entries");
-		wrap.appendChild(inner);
-		inner.appendChild(results);
-		finder.parentNode.insertBefore(wrap, finder);
-		wrap.appendChild(finder);
-		
-		//Get rid of browser suggestions
-		finder.autocomplete = "off";
-		
-		//Set config for convenience of other methods
-		const findConfig = {
-			form: form,
-			finder: finder,
-			id: idInput,
-			results: results
-			
+	_checkEvent(data) {
+		if (!data.year || ! data.content) {
+			return `${JSON.stringify(data)}. Events must have at least a year and content property.`;
 		}
-		this._findConfig = findConfig;
-		
-		//Stop refresh keeping a previous value (which won't be valid without corresponding ID)
-		findConfig.finder.value = "";
-		
-		form.addEventListener('input', (e) => this._showEntryOptions(e));
-		form.addEventListener('submit', (e) => this._findSubmit(e))
-		results.addEventListener('click', (e) => this._selectFilteredEntry(e) );
+		if (!this._validDates(data, ["year"])) {
+			return `${JSON.stringify(data)}. Dates must be a year, or in the format YYYY-MM or YYYY-MM-DD.`;
+		}
+		return null;
 	}
 	
 	/**
-	 * Add entries to the "#filtered-entries", filtered by the value of the event-triggering input.
+	 * Check that a period can be added, returning the reason if not.
 	 * @protected
-	 * @param {object} e
+	 * @param {object} data
+	 * @return {string|null}
 	 */
-	_showEntryOptions(e) {
-		const val = e.target.value;
-		if (val.trim() === "") {
-			this._findConfig.results.innerHTML = "";
-			return null;
+	_checkPeriod(data) {
+		if (![ "name", "start", "end" ].every((i) => data[i])) {
+			return `${JSON.stringify(data)}. Periods must have at least a name, start and end.`;
+		}
+		if (!this._validDates(data, ["start", "end"])) {
+			return `${JSON.stringify(data)}. Dates must be a year, or in the format YYYY-MM or YYYY-MM-DD.`;
+		}
+		if (parseDate(data.end) <= parseDate(data.start)) {
+			return `${JSON.stringify(data)}. The end must be after the start.`;
+		}
+		return null;
+	}
+	
+	/**
+	 * Change the data of an existing entry. Properties are given in the same format as for addEntry(), and only those given are changed.
+	 * Set a property to null to remove it.
+	 * If the Timeline has already been created, call refresh() to apply the change.
+	 * @public
+	 * @param {string} id - The ID of the entry
+	 * @param {object} data - The properties to change
+	 */
+	updateEntry(id, data) {
+		const entry = this._getEntry(id);
+		if (!entry) {
+			console.warn(`Cannot update entry: ${id} doesn't exist.`);
+			return;
+		}
+		if (Object.hasOwn(data, "id") && data.id !== id) {
+			console.warn(`Cannot update entry: ${id}. The ID of an entry can't be changed.`);
+			return;
+		}
+		if (data.start === null || !this._validDates(data, ["start", "end"].filter(k => data[k] !== null))) {
+			console.warn(`Invalid update for entry ${id}: ${JSON.stringify(data)}. Entries must have a start, and dates must be a year, or in the format YYYY-MM or YYYY-MM-DD.`);
+			return;
 		}
 		
-		const filtered = this._filterEntries(val);
-		const results = this._findConfig.results;
-		results.innerHTML = "";
+		if (Object.hasOwn(data, "name")) {
+			entry.innerText = data.name;
+		}
 		
-		for (const entry of filtered) {
-			const item = document.createElement("li");
-			item.dataset.id = entry.id;
-			item.innerText = entry.name;
-			results.append(item);
+		const stored = (this._diagramInstance ? this._diagramInstance.entryData(entry) : entry.dataset);
+		for (const k of Object.keys(data)) {
+			if (["id", "name"].includes(k)) continue;
+			if (data[k] === null) {
+				delete stored[k];
+			} else {
+				stored[k] = String(data[k]);
+			}
 		}
 	}
 	
 	/**
-	 * Filter the list of entries to match the provided search string.
-	 * @protected
-	 * @param {string} search
-	 * @return {array}
+	 * Remove an entry, along with any events targeting it.
+	 * If the Timeline has already been created, call refresh() to apply the change.
+	 * @public
+	 * @param {string} id - The ID of the entry
 	 */
-	_filterEntries(search) {
-		const filtered = [...document.querySelectorAll(".entry")]
-		.map(entry => {
-			return { "id": entry.id, "name": entry.innerText }
-		})
-		.filter(entry => {
-			return entry.name.toLowerCase().includes(search.toLowerCase());
+	removeEntry(id) {
+		const entry = this._getEntry(id);
+		if (!entry) {
+			console.warn(`Cannot remove entry: ${id} doesn't exist.`);
+			return;
+		}
+		for (const event of document.getElementById(this._container).querySelectorAll(".event")) {
+			if (event.dataset.target === id) event.remove();
+		}
+		entry.remove();
+	}
+	
+	/**
+	 * Remove all events matching the given year and content, and target if given.
+	 * If the Timeline has already been created, call refresh() to apply the change.
+	 * @public
+	 * @param {object} data - The event, in the same format as for addEvent()
+	 * @return {number} The number of events removed
+	 */
+	removeEvent(data) {
+		const matches = [...document.getElementById(this._container).querySelectorAll(".event")].filter(event => {
+			return this._validDates(event.dataset, ["year"])
+				&& parseDate(event.dataset.year) === parseDate(data.year)
+				&& event.innerText === data.content
+				&& (!data.target || event.dataset.target === data.target);
 		});
-		return filtered;
+		for (const event of matches) {
+			event.remove();
+		}
+		if (matches.length === 0) {
+			console.warn(`Cannot remove event: no event matches ${JSON.stringify(data)}.`);
+		}
+		return matches.length;
 	}
 	
 	/**
-	 * Submit the clicked entry in the filtered list.
+	 * Redraw the Timeline after entries or events have been added, changed or removed.
+	 * The layout is calculated again, and the parts of the diagram affected by the changes are redrawn.
+	 * This has no effect before create() is called.
+	 * @public
+	 */
+	refresh() {
+		if (!this._diagramInstance) return;
+		this._checkStrict();
+		this._diagramInstance.refresh();
+		if (this._detailPanel) {
+			this._refreshDetailPanel();
+		}
+		if (this._filterControls) {
+			this._updateFilterControls();
+		}
+		if (this._minimap) {
+			this._drawMinimap();
+		}
+		if (this._lineage) {
+			this._showLineage(this._lineage.id, this._lineage.options);
+		}
+	}
+	
+	/**
+	 * Show only the entries matching a filter. The other entries and their events are hidden, and the diagram is laid out again without them.
+	 * Lines to hidden entries are drawn as short dotted lines, to show that they continue out of view.
+	 * The filter can be an object with any of "groups", "colours" and "tags", each a list of the values to show. Entries are shown if they match all of the lists given,
+	 * having a group and colour in the lists, and at least one tag in the list. (Tags are given as a space-separated list in the entry's tags property.)
+	 * Alternatively, the filter can be a function called with each entry's data, in the same format as for addEntry(), returning true to show the entry.
+	 * If the Timeline has already been created, it is redrawn straight away.
+	 * @public
+	 * @param {object|function|null} filter - The filter, or null to show all entries
+	 * @param {string[]} [filter.groups] - The groups to show
+	 * @param {string[]} [filter.colours] - The colours to show
+	 * @param {string[]} [filter.tags] - The tags to show
+	 */
+	filter(filter) {
+		this._filter = this._makeFilter(filter);
+		this._filterState = { filter: this._getFilterLists(filter), hidden: null };
+		if (this._diagramInstance) {
+			this._diagramInstance.setFilter(this._filter);
+			this.refresh();
+			this._stateChanged(true);
+		}
+	}
+	
+	/**
+	 * Remove the filter, showing all entries.
+	 * @public
+	 */
+	clearFilter() {
+		this.filter(null);
+	}
+	
+	/**
+	 * Make the function to filter entries from the filter given to filter().
 	 * @protected
-	 * @param {object} e
+	 * @param {object|function|null} filter
+	 * @return {function|null}
 	 */
-	_selectFilteredEntry(e) {
-		if(e.target.localName !== "li") return null;
-		
-		const form = this._findConfig.form;
-		const finder = this._findConfig.finder;
-		const id = this._findConfig.id;
-		
-		finder.value = e.target.innerText;
-		id.value = e.target.dataset.id;
+	_makeFilter(filter) {
+		if (filter === null || filter === undefined || typeof filter === "function") {
+			return filter ?? null;
+		}
+		if (typeof filter !== "object") {
+			throw new Error("The filter must be an object with groups, colours or tags, a function, or null.");
+		}
 		
-		form.requestSubmit();
+		const list = (values) => ( values === undefined ? null : [].concat(values).map(String) );
+		const groups = list(filter.groups);
+		const colours = list(filter.colours);
+		const tags = list(filter.tags);
+		return (entry) => {
+			return (!groups || groups.includes(entry.group))
+				&& (!colours || colours.includes(entry.colour))
+				&& (!tags || (entry.tags ?? "").split(" ").some(tag => tags.includes(tag)));
+		};
 	}
 	
 	/**
-	 * The submit action of the find form.
-	 * Pan to the entry with submitted ID, if it exists.
+	 * Copy the lists of values to show from a filter given to filter(), for the Timeline's state.
 	 * @protected
-	 * @param {object} e
-	 * @fires Timeline#timelineFind
+	 * @param {object|function|null} filter
+	 * @return {object|null} The groups, colours and tags given, as lists of strings, or null if the filter isn't an object
 	 */
-	_findSubmit(e) {
-		e.preventDefault();
-		
-		const find = e.target.querySelector("input[name=find-id]").value;
-		
-		if(document.getElementById(find)) this.panToEntry(find);
-
-		this._findConfig.results.innerHTML = "";
-		this._findConfig.finder.value = "";
+	_getFilterLists(filter) {
+		if (filter === null || typeof filter !== "object") return null;
+		const lists = [ "groups", "colours", "tags" ].filter(list => filter[list] !== undefined);
+		return Object.fromEntries(lists.map(list => [ list, [].concat(filter[list]).map(String) ]));
 	}
 	
-	/** 
-	 * Initialised Panzoom on the diagram.
+	/**
+	 * Add checkboxes to show and hide entries by group, colour and tag to the filter controls element, if present in the document.
 	 * @protected
 	 */
-	_initPanzoom() {
-		const wrap = document.createElement("div");
-		wrap.classList.add("pz-wrap");
-		this._diagram.parentNode.insertBefore(wrap, this._diagram);
-		wrap.appendChild(this._diagram);
+	_initFilterControls() {
+		const element = document.getElementById(this._config.filterControls);
+		if (!element) return;
 		
-		this._pz = this._config.panzoom(this._diagram, {
-			contain: 'outside',
-			maxScale: 3,
-			minScale: 0.5,
-			step: 0.1,
-			
-			//This option removes the default 'stopPropagation', which blocks touch events on clickable nodes.
-			handleStartEvent: (event) => {
-				event.preventDefault()
-			}
-		});
-		this._diagram.parentElement.addEventListener('wheel', this._pz.zoomWithWheel);
+		this._filterControls = { element: element, fieldsets: {}, addedClass: !element.classList.contains("timeline-filter") };
+		element.classList.add("timeline-filter");
+		this._listen(element, 'change', () => this._filterControlsChanged());
+		this._updateFilterControls();
 	}
 	
 	/**
-	 * Handle URL hash. Hash of format '#find-{ID}' will pan to the given entry ID, if it exists.
+	 * Add a checkbox to the filter controls for each group, colour and tag not already listed.
+	 * A fieldset is added for each kind of value the entries have.
 	 * @protected
-	 * @param {object} e
 	 */
-	_hashHandler() {
-		const id = location.hash.replace('#find-', '');
-		if(document.getElementById(id) && this._pz) this.panToEntry(id);
+	_updateFilterControls() {
+		const kinds = { group: "Groups", colour: "Colours", tag: "Tags" };
+		const controls = this._filterControls;
+		
+		const values = { group: new Set(), colour: new Set(), tag: new Set() };
+		for (const entry of this._getElements().entries) {
+			const data = this._diagramInstance.entryData(entry);
+			if (data.group) values.group.add(data.group);
+			if (data.colour) values.colour.add(data.colour);
+			for (const tag of (data.tags ?? "").split(" ").filter(t => t)) {
+				values.tag.add(tag);
+			}
+		}
+		
+		for (const [kind, legend] of Object.entries(kinds)) {
+			for (const value of values[kind]) {
+				if (!controls.fieldsets[kind]) {
+					const fieldset = document.createElement("fieldset");
+					fieldset.classList.add(`timeline-filter-${kind}`);
+					const l = document.createElement("legend");
+					l.innerText = legend;
+					fieldset.append(l);
+					controls.element.append(fieldset);
+					controls.fieldsets[kind] = fieldset;
+				}
+				
+				const fieldset = controls.fieldsets[kind];
+				if ([...fieldset.querySelectorAll("input")].some(i => i.value === value)) continue;
+				
+				const label = document.createElement("label");
+				const input = document.createElement("input");
+				input.type = "checkbox";
+				input.name = kind;
+				input.value = value;
+				input.checked = true;
+				label.append(input);
+				if (kind === "colour") {
+					const swatch = document.createElement("span");
+					swatch.classList.add("timeline-filter-swatch");
+					swatch.style.background = value;
+					label.append(swatch);
+				}
+				label.append(document.createTextNode(value));
+				fieldset.append(label);
+			}
+		}
+	}
+	
+	/**
+	 * Filter the entries by the checkboxes in the filter controls.
+	 * Entries are hidden if their group or colour is unchecked, or if all of their tags are unchecked.
+	 * @protected
+	 */
+	_filterControlsChanged() {
+		const unchecked = (kind) => [...this._filterControls.element.querySelectorAll(`input[name=${kind}]:not(:checked)`)].map(i => i.value);
+		this._hideValues({ groups: unchecked("group"), colours: unchecked("colour"), tags: unchecked("tag") });
+	}
+	
+	/**
+	 * Hide the entries with any of the given groups or colours, or whose tags are all given, as when they are unchecked in the filter controls.
+	 * @protected
+	 * @param {object} hidden
+	 * @param {string[]} [hidden.groups = []]
+	 * @param {string[]} [hidden.colours = []]
+	 * @param {string[]} [hidden.tags = []]
+	 */
+	_hideValues({ groups = [], colours = [], tags = [] }) {
+		if (groups.length + colours.length + tags.length === 0) {
+			this.filter(null);
+			return;
+		}
+		this.filter((entry) => {
+			const entryTags = (entry.tags ?? "").split(" ").filter(t => t);
+			return !groups.includes(entry.group)
+				&& !colours.includes(entry.colour)
+				&& (entryTags.length === 0 || !entryTags.every(tag => tags.includes(tag)));
+		});
+		const hidden = Object.entries({ groups: groups, colours: colours, tags: tags }).filter(([, values]) => values.length > 0);
+		this._filterState.hidden = Object.fromEntries(hidden);
+	}
+	
+	/**
+	 * Uncheck the given values in the filter controls, if present, and check the rest.
+	 * @protected
+	 * @param {object} hidden - The groups, colours and tags to uncheck, as for _hideValues()
+	 */
+	_checkFilterControls(hidden) {
+		if (!this._filterControls) return;
+		const lists = { group: "groups", colour: "colours", tag: "tags" };
+		for (const input of this._filterControls.element.querySelectorAll("input")) {
+			input.checked = !(hidden[lists[input.name]] ?? []).includes(input.value);
+		}
+	}
+	
+	/**
+	 * Remove the filter controls.
+	 * @protected
+	 */
+	_destroyFilterControls() {
+		const controls = this._filterControls;
+		for (const fieldset of Object.values(controls.fieldsets)) {
+			fieldset.remove();
+		}
+		if (controls.addedClass) {
+			controls.element.classList.remove("timeline-filter");
+			if (controls.element.classList.length === 0) controls.element.removeAttribute("class");
+		}
+	}
+	
+	/**
+	 * Collapse the swimlane of a group, hiding its entries and closing the lane up to a single row, with a bar spanning the dates of its entries.
+	 * The swimlanes option must be set. If the Timeline has already been created, it is redrawn straight away.
+	 * @public
+	 * @param {string} group
+	 * @fires Timeline#timelineLaneToggle
+	 */
+	collapseLane(group) {
+		this._setLaneCollapsed(group, true);
+	}
+	
+	/**
+	 * Expand the swimlane of a group collapsed by collapseLane(), showing its entries again.
+	 * @public
+	 * @param {string} group
+	 * @fires Timeline#timelineLaneToggle
+	 */
+	expandLane(group) {
+		this._setLaneCollapsed(group, false);
+	}
+	
+	/**
+	 * Collapse the swimlane of a group if it is expanded, or expand it if it is collapsed. This is what the lane's header does when clicked.
+	 * @public
+	 * @param {string} group
+	 * @fires Timeline#timelineLaneToggle
+	 */
+	toggleLane(group) {
+		this._setLaneCollapsed(group, !this._collapsedLanes.includes(String(group)));
+	}
+	
+	/**
+	 * Get the groups whose swimlanes are collapsed.
+	 * @public
+	 * @return {string[]}
+	 */
+	getCollapsedLanes() {
+		return [...this._collapsedLanes];
+	}
+	
+	/**
+	 * Collapse or expand the swimlane of a group, if it isn't already.
+	 * @protected
+	 * @param {string} group
+	 * @param {boolean} collapsed
+	 */
+	_setLaneCollapsed(group, collapsed) {
+		if (this._diagramConfig.swimlanes !== true) {
+			console.warn("Swimlanes aren't enabled. Set swimlanes to true in the config to collapse and expand lanes.");
+			return;
+		}
+		group = String(group);
+		if (this._collapsedLanes.includes(group) === collapsed) return;
+		
+		this._setCollapsedLanes(( collapsed ? [ ...this._collapsedLanes, group ] : this._collapsedLanes.filter(g => g !== group) ));
+		this._dispatch('timelineLaneToggle', { group: group, collapsed: collapsed });
+	}
+	
+	/**
+	 * Set which swimlanes are collapsed, redrawing the Timeline if it has been created.
+	 * @protected
+	 * @param {string[]} groups
+	 */
+	_setCollapsedLanes(groups) {
+		this._collapsedLanes = groups;
+		if (this._diagramInstance) {
+			this._diagramInstance.setCollapsedLanes(groups);
+			this.refresh();
+			this._stateChanged(true);
+		}
+	}
+	
+	/**
+	 * Check the Timeline's entries, events and periods for problems.
+	 * This checks for missing or invalid dates and properties, duplicate IDs, references to entries that don't exist,
+	 * entries that become each other in a loop, entries that both merge and become, entries and periods ending before they start, events and periods outside the timeline's years, and periods for groups with no entries.
+	 * It can be called before or after create().
+	 * @public
+	 * @return {object[]} A list of issues, each with: severity ("error" or "warning"), code (e.g. "missing-reference"), entry (the ID of the entry concerned, or the event's target), attribute, message, and event or period (the index of the event or period, for problems with these)
+	 */
+	validate() {
+		const {entries, events, periods} = this._getElements();
+		
+		const entryData = [...entries].map(e => ({ id: e.id, ...(this._diagramInstance ? this._diagramInstance.entryData(e) : e.dataset) }));
+		const eventData = [...events].map(e => ({ ...e.dataset, content: e.innerText }));
+		const periodData = [...periods].map(p => ({ name: p.innerText, ...p.dataset }));
+		return new Validator(this._diagramConfig).validate(entryData, eventData, periodData);
+	}
+	
+	/**
+	 * Get the lineage of an entry: the entries it comes from (its ancestors) and the entries that come from it (its descendants).
+	 * An entry descends from the entry it splits from, and from the entries which become it or merge into it. This includes entries hidden by a filter.
+	 * It can be called before or after create().
+	 * @public
+	 * @param {string} id - The ID of the entry
+	 * @param {object} [options = {}]
+	 * @param {string} [options.direction = both] - "ancestors", "descendants" or "both"
+	 * @param {boolean} [options.links = false] - whether to also follow links between entries, in either direction
+	 * @return {string[]} The IDs of the entries in the lineage, nearest first. The entry itself is not included.
+	 */
+	getLineage(id, options = {}) {
+		const entries = [...this._getElements().entries].map(e => ({ id: e.id, ...(this._diagramInstance ? this._diagramInstance.entryData(e) : e.dataset) }));
+		return new Lineage(entries).get(id, options);
+	}
+	
+	/**
+	 * Highlight an entry and its lineage (see getLineage()), with their events and the lines between them, and dim the rest of the diagram.
+	 * The Timeline must have been created first.
+	 * @public
+	 * @param {string} id - The ID of the entry
+	 * @param {object} [options = {}] - The same options as for getLineage()
+	 */
+	highlightLineage(id, options = {}) {
+		if (!this._diagramInstance) {
+			throw new Error("The Timeline must be created before highlighting an entry's lineage.");
+		}
+		this._showLineage(id, options);
+		if (this._selectedLineage !== String(id)) {
+			this._selectedLineage = String(id);
+			this._stateChanged(true);
+		}
+	}
+	
+	/**
+	 * Remove the lineage highlight.
+	 * @public
+	 */
+	clearLineage() {
+		this._lineage = undefined;
+		if (this._diagramInstance) {
+			this._diagramInstance.highlight(null);
+		}
+		if (this._selectedLineage) {
+			this._selectedLineage = undefined;
+			this._stateChanged(true);
+		}
+	}
+	
+	/**
+	 * Highlight an entry's lineage, without it becoming part of the Timeline's state, e.g. while the entry is hovered over.
+	 * @protected
+	 * @param {string} id
+	 * @param {object} options - As for getLineage()
+	 */
+	_showLineage(id, options) {
+		this._lineage = { id: String(id), options: options };
+		this._diagramInstance.highlight([ String(id), ...this.getLineage(id, options) ], options.links === true);
+	}
+	
+	/**
+	 * Highlight the lineage of entries when hovered over, or when selected by clicking or focusing them.
+	 * The hovered entry is shown in preference to the selected one.
+	 * @protected
+	 */
+	_initLineage() {
+		this._lineageEntries = { hovered: null, selected: null };
+		this._listen(this._diagram, 'pointerover', (e) => this._updateLineage("hovered", e.target));
+		this._listen(this._diagram, 'pointerout', (e) => this._updateLineage("hovered", e.relatedTarget));
+		this._listen(this._diagram, 'focusin', (e) => this._updateLineage("selected", e.target));
+		this._listen(this._diagram, 'focusout', (e) => this._updateLineage("selected", e.relatedTarget));
+	}
+	
+	/**
+	 * Update the highlighted lineage when the hovered or selected entry changes.
+	 * @protected
+	 * @param {string} state - "hovered" or "selected"
+	 * @param {EventTarget|null} target - The element now hovered over or focused, if any
+	 */
+	_updateLineage(state, target) {
+		const entry = ( target instanceof Element ? target.closest(".entry") : null );
+		this._lineageEntries[state] = ( entry && entry.parentElement === this._diagram ? entry.id : null );
+		
+		const id = this._lineageEntries.hovered ?? this._lineageEntries.selected;
+		if (id === (this._lineage ? this._lineage.id : null)) return;
+		if (id) {
+			this._showLineage(id, { links: this._config.lineageLinks === true });
+		} else {
+			this.clearLineage();
+		}
+	}
+	
+	/**
+	 * In strict mode, throw an error if the data has any errors.
+	 * @protected
+	 */
+	_checkStrict() {
+		if (this._diagramConfig.strict !== true) return;
+		
+		const errors = this.validate().filter(i => i.severity === "error");
+		if (errors.length > 0) {
+			throw new Error(`Invalid timeline data:\n${errors.map(i => i.message).join("\n")}`);
+		}
+	}
+	
+	/**
+	 * Get the element for the entry with the given ID, if it exists in the Timeline's container.
+	 * @protected
+	 * @param {string} id
+	 * @return {HTMLElement|null}
+	 */
+	_getEntry(id) {
+		return [...this._getElements().entries].find(e => e.id === String(id)) ?? null;
+	}
+	
+	/**
+	 * Get the entry and event elements in the Timeline's container.
+	 * Entries are always found within the container, as entries in different timelines on the same page can have the same ID.
+	 * @protected
+	 * @return {object} The entries and events, as NodeLists
+	 */
+	_getElements() {
+		return Diagram.findElements(document.getElementById(this._container), this._diagramConfig.entrySelector);
+	}
+	
+	/**
+	 * Check that the given date properties, where present, are valid dates.
+	 * @protected
+	 * @param {object} data
+	 * @param {string[]} props
+	 * @return {boolean}
+	 */
+	_validDates(data, props) {
+		try {
+			for (const prop of props) {
+				if (Object.hasOwn(data, prop)) parseDate(data[prop]);
+			}
+		} catch {
+			return false;
+		}
+		return true;
+	}
+	
+	/**
+	 * If panning and zooming is enabled, pan to the element with the given ID, and reset the zoom.
+	 * @public
+	 * @param {string} id - The ID of a timeline entry
+	 * @fires Timeline#timelineFind
+	 */
+	panToEntry(id) {
+		if (typeof this._pz === "undefined") {
+			throw new Error("Panning and zooming isn't enabled. Set panzoom to true in the config, or pass the Panzoom function, to use the pan-to-entry feature.");
+		}
+		
+		const target = this._getEntry(id);
+		const group = this._diagramInstance.entryData(target).group;
+		if (group !== undefined && this._collapsedLanes.includes(String(group))) {
+			this.expandLane(group);
+		}
+		this._pz.zoom(1);
+		this._centreEntry(target);
+		
+		this._dispatch('timelineFind', { id: id, name: target.innerText, ...this._getEntryDetail(target) });
+		this._stateChanged(true);
+		
+		this._setTimeout( () => { target.classList.add("highlight", "hover") }, 500);
+		this._setTimeout( () => { target.classList.remove("highlight", "hover") }, 2000);
+	}
+	
+	/**
+	 * Pan so that an entry is in the centre of the view, keeping the zoom as it is.
+	 * @protected
+	 * @param {HTMLElement} entry
+	 */
+	_centreEntry(entry) {
+		const geometry = this._diagramInstance.getGeometry(entry);
+		if (!geometry) return;
+		const area = this._getVisibleArea();
+		this._moveVisibleArea(geometry.x + geometry.width/2 - area.width/2, geometry.y + geometry.height/2 - area.height/2);
+	}
+	
+	/**
+	 * The timelineFind event is fired when panToEntry() is called. (Only applicable if panning and zooming is enabled).
+	 * @event Timeline#timelineFind
+	 * @type {object}
+	 * @public
+	 * @property {object} details
+	 * @property {string} details.id - the ID of the entry
+	 * @property {string} details.name - the name of the entry
+	 * @property {object} details.entry - the entry's data, in the same format as for addEntry()
+	 * @property {object} details.geometry - the entry's position and size in the diagram (see timelineEntryClick)
+	 */
+	
+	/**
+	 * Bind the zoom controls to the configured element IDs, if present in the document.
+	 * Prepare empty container for entry filter if find form is present.
+	 * @protected
+	 */
+	_initControls() {
+		const zoomIn = document.getElementById(this._config.zoomIn);
+		const zoomOut = document.getElementById(this._config.zoomOut);
+		const reset = document.getElementById(this._config.zoomReset);
+		const find = document.getElementById(this._config.findForm);
+		
+		if(zoomIn) { this._listen(zoomIn, "click", this._pz.zoomIn) }
+		if(zoomOut) { this._listen(zoomOut, "click", this._pz.zoomOut) }
+		if(reset) { this._listen(reset, "click", () => this._pz.zoom(1)) }
+		if(find && find.querySelector("input[name=find-id]")) {
+			console.warn(`The find form "${this._config.findForm}" is already used by another timeline. Set a different findForm for each timeline.`);
+		} else if(find) {
+			this._initFindForm(find);
+		}
+	}
+	
+	/**
+	 * Set up the find form
+	 * @protected
+	 */
+	_initFindForm(form) {
+		//Add the ID input
+		const idInput = document.createElement("input");
+		idInput.name = "find-id";
+		idInput.style.display = "none";
+		form.append(idInput);
+		
+		//Add the wrappers and container for the filtering results
+		const finder = form.querySelector("input[name=finder]");
+		const wrap = document.createElement("div");
+		const inner = document.createElement("div");
+		const results = document.createElement("ul");
+		results.id = `${this._container}-find-results`;
+		results.setAttribute("role", "listbox");
+		results.setAttribute("aria-label", "Matching entries");
+		wrap.classList.add("filtered-entries");
+		wrap.appendChild(inner);
+		inner.appendChild(results);
+		finder.parentNode.insertBefore(wrap, finder);
+		wrap.appendChild(finder);
+		
+		//Keep the input's attributes to restore, then get rid of browser suggestions and make it a combobox for the results list
+		const attributes = Object.fromEntries(finderAttributes.map(a => [ a, finder.getAttribute(a) ]));
+		finder.autocomplete = "off";
+		finder.setAttribute("role", "combobox");
+		finder.setAttribute("aria-autocomplete", "list");
+		finder.setAttribute("aria-expanded", "false");
+		finder.setAttribute("aria-controls", results.id);
+		
+		//Set config for convenience of other methods
+		const findConfig = {
+			form: form,
+			finder: finder,
+			id: idInput,
+			results: results,
+			wrap: wrap,
+			attributes: attributes,
+			active: -1
+		}
+		this._findConfig = findConfig;
+		
+		//Stop refresh keeping a previous value (which won't be valid without corresponding ID)
+		findConfig.finder.value = "";
+		
+		this._listen(form, 'input', (e) => this._showEntryOptions(e));
+		this._listen(form, 'submit', (e) => this._findSubmit(e));
+		this._listen(finder, 'keydown', (e) => this._findKeyHandler(e));
+		this._listen(results, 'click', (e) => this._selectFilteredEntry(e));
+	}
+	
+	/**
+	 * Remove the elements added to the find form, and restore the finder input.
+	 * @protected
+	 */
+	_destroyFindForm() {
+		const findConfig = this._findConfig;
+		findConfig.wrap.replaceWith(findConfig.finder);
+		findConfig.id.remove();
+		for (const [attr, value] of Object.entries(findConfig.attributes)) {
+			if (value === null) {
+				findConfig.finder.removeAttribute(attr);
+			} else {
+				findConfig.finder.setAttribute(attr, value);
+			}
+		}
+	}
+	
+	/**
+	 * Add entries to the "#filtered-entries", filtered by the value of the event-triggering input.
+	 * Each is listed with its dates and group, and, if found by another name or an event, what it was found by.
+	 * @protected
+	 * @param {object} e
+	 */
+	_showEntryOptions(e) {
+		const val = e.target.value;
+		if (val.trim() === "") {
+			this._clearFindOptions();
+			return null;
+		}
+		
+		const filtered = this._filterEntries(val);
+		const results = this._findConfig.results;
+		const matchLabels = { alias: "Also known as", previous: "Formerly", event: "Event" };
+		const span = (text, className) => {
+			const el = document.createElement("span");
+			el.classList.add(className);
+			el.innerText = text;
+			return el;
+		};
+		
+		this._clearFindOptions();
+		filtered.forEach((entry, i) => {
+			const item = document.createElement("li");
+			item.id = `${results.id}-${i}`;
+			item.setAttribute("role", "option");
+			item.setAttribute("aria-selected", "false");
+			item.dataset.id = entry.id;
+			item.dataset.name = entry.name;
+			
+			item.append(span(entry.name, "timeline-find-name"));
+			const context = [ entry.dates, entry.group ].filter(c => c);
+			if (context.length > 0) {
+				item.append(span(context.join(" · "), "timeline-find-context"));
+			}
+			if (entry.match.kind !== "name") {
+				item.append(span(`${matchLabels[entry.match.kind]}: ${entry.match.text}`, "timeline-find-match"));
+			}
+			results.append(item);
+		});
+		this._findConfig.finder.setAttribute("aria-expanded", String(filtered.length > 0));
+	}
+	
+	/**
+	 * Find the entries matching the provided search string, best first. See EntrySearch for how entries are matched.
+	 * @protected
+	 * @param {string} search
+	 * @return {object[]} For each entry: its id, name, dates (as shown in the detail panel, or null if it isn't shown in the diagram), group, and what it was found by, as returned by EntrySearch.find()
+	 */
+	_filterEntries(search) {
+		const elements = this._getElements();
+		const entries = [...elements.entries].map(entry => ({ ...this._diagramInstance.entryData(entry), id: entry.id, name: entry.innerText }));
+		const events = [...elements.events].map(event => ({ target: event.dataset.target, text: event.innerText }));
+		
+		return new EntrySearch(entries, events).find(search, maxFindResults).map(found => {
+			const entry = entries.find(e => e.id === found.id);
+			const details = this._diagramInstance.getEntryDetails(this._getEntry(found.id));
+			return { id: found.id, name: found.name, dates: ( details ? details.dates : null ), group: entry.group ?? null, match: found.match };
+		});
+	}
+	
+	/**
+	 * Remove the entries listed by the find form.
+	 * @protected
+	 */
+	_clearFindOptions() {
+		this._findConfig.results.replaceChildren();
+		this._findConfig.finder.setAttribute("aria-expanded", "false");
+		this._findConfig.finder.removeAttribute("aria-activedescendant");
+		this._findConfig.active = -1;
+	}
+	
+	/**
+	 * Move through the entries listed by the find form with the arrow keys, and choose one with Enter (the first, if none has been moved to).
+	 * Escape closes the list.
+	 * @protected
+	 * @param {KeyboardEvent} e
+	 */
+	_findKeyHandler(e) {
+		const options = [...this._findConfig.results.children];
+		if (options.length === 0) return;
+		
+		const active = this._findConfig.active;
+		if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+			e.preventDefault();
+			const step = ( e.key === "ArrowDown" ? 1 : -1 );
+			const next = ( active === -1 ? (step === 1 ? 0 : options.length - 1) : (active + step + options.length) % options.length );
+			options.forEach((option, i) => option.setAttribute("aria-selected", String(i === next)));
+			this._findConfig.finder.setAttribute("aria-activedescendant", options[next].id);
+			this._findConfig.active = next;
+		} else if (e.key === "Enter") {
+			e.preventDefault();
+			this._chooseFindOption(options[Math.max(active, 0)]);
+		} else if (e.key === "Escape") {
+			e.preventDefault();
+			this._clearFindOptions();
+		}
+	}
+	
+	/**
+	 * Submit the clicked entry in the filtered list.
+	 * @protected
+	 * @param {object} e
+	 */
+	_selectFilteredEntry(e) {
+		const option = e.target.closest("li[role=option]");
+		if (!option) return null;
+		this._chooseFindOption(option);
+	}
+	
+	/**
+	 * Submit the find form for an entry in the filtered list.
+	 * @protected
+	 * @param {HTMLElement} option
+	 */
+	_chooseFindOption(option) {
+		this._findConfig.finder.value = option.dataset.name;
+		this._findConfig.id.value = option.dataset.id;
+		this._findConfig.form.requestSubmit();
+	}
+	
+	/**
+	 * The submit action of the find form.
+	 * Pan to the entry with submitted ID, if it exists.
+	 * @protected
+	 * @param {object} e
+	 * @fires Timeline#timelineFind
+	 */
+	_findSubmit(e) {
+		e.preventDefault();
+		
+		const find = e.target.querySelector("input[name=find-id]").value;
+		
+		if(this._getEntry(find)) this.panToEntry(find);
+
+		this._clearFindOptions();
+		this._findConfig.finder.value = "";
+	}
+	
+	/**
+	 * Fire the interaction events for entries, events and connectors. See the timelineEntryClick event and those following it.
+	 * The layout and render events are fired by the Diagram.
+	 * @protected
+	 */
+	_initEvents() {
+		this._eventStates = new Map();
+		this._listen(this._diagram, 'pointerdown', (e) => { this._pointerStart = { x: e.clientX, y: e.clientY } });
+		this._listen(this._diagram, 'click', (e) => {
+			const entry = this._getInteractive(e.target);
+			if (entry && entry.classList.contains("entry") && !this._isDrag(e)) {
+				this._dispatch('timelineEntryClick', { ...this._getEntryDetail(entry), originalEvent: e });
+			}
+			
+			//Lane headers can also be clicked with the keyboard, which has no pointer position
+			const lane = ( e.target instanceof Element ? e.target.closest(".lane-header, .lane-summary") : null );
+			if (lane && this._diagram.contains(lane) && (e.detail === 0 || !this._isDrag(e))) {
+				this.toggleLane(lane.dataset.group);
+			}
+		});
+		this._listen(this._diagram, 'pointerover', (e) => this._pointerHandler(e, true));
+		this._listen(this._diagram, 'pointerout', (e) => this._pointerHandler(e, false));
+		this._listen(this._diagram, 'focusin', (e) => this._focusChangeHandler(e, true));
+		this._listen(this._diagram, 'focusout', (e) => this._focusChangeHandler(e, false));
+	}
+	
+	/**
+	 * Fire an event on the container.
+	 * @protected
+	 * @param {string} type
+	 * @param {object} detail
+	 */
+	_dispatch(type, detail) {
+		document.getElementById(this._container).dispatchEvent(new CustomEvent(type, { detail: detail }));
+	}
+	
+	/**
+	 * Get the entry, event or connector an element belongs to, e.g. the target of a pointer event.
+	 * @protected
+	 * @param {EventTarget|null} target
+	 * @return {Element|null}
+	 */
+	_getInteractive(target) {
+		if (!(target instanceof Element) || !this._diagram.contains(target)) return null;
+		const node = target.closest(".entry, .event");
+		if (node && this._diagram.contains(node)) return node;
+		return this._diagramInstance.getConnector(target)?.element ?? null;
+	}
+	
+	/**
+	 * Whether a click is the end of dragging the diagram, rather than a click on the element.
+	 * @protected
+	 * @param {MouseEvent} e
+	 * @return {boolean}
+	 */
+	_isDrag(e) {
+		const start = this._pointerStart;
+		return Boolean(start) && Math.hypot(e.clientX - start.x, e.clientY - start.y) > 5;
+	}
+	
+	/**
+	 * Fire the hover events when the pointer moves onto or off an entry, event or connector.
+	 * Moving between elements within the same entry, event or connector is ignored.
+	 * @protected
+	 * @param {PointerEvent} e
+	 * @param {boolean} over - true for pointerover, false for pointerout
+	 */
+	_pointerHandler(e, over) {
+		const el = this._getInteractive(e.target);
+		if (!el || el === this._getInteractive(e.relatedTarget)) return;
+		
+		if (el.classList.contains("event")) {
+			this._setEventOpen(el, "hover", over, e);
+		} else if (el.classList.contains("entry")) {
+			this._dispatch(over ? 'timelineEntryHover' : 'timelineEntryHoverEnd', { ...this._getEntryDetail(el), originalEvent: e });
+		} else {
+			this._dispatch(over ? 'timelineConnectorHover' : 'timelineConnectorHoverEnd', { ...this._getConnectorDetail(el), originalEvent: e });
+		}
+	}
+	
+	/**
+	 * Fire the focus events when an entry or event gains or loses the focus.
+	 * @protected
+	 * @param {FocusEvent} e
+	 * @param {boolean} focus - true for focusin, false for focusout
+	 */
+	_focusChangeHandler(e, focus) {
+		const el = this._getInteractive(e.target);
+		if (!el || el !== e.target) return;
+		
+		if (el.classList.contains("event")) {
+			this._setEventOpen(el, "focus", focus, e);
+		} else if (el.classList.contains("entry")) {
+			this._dispatch(focus ? 'timelineEntryFocus' : 'timelineEntryBlur', { ...this._getEntryDetail(el), originalEvent: e });
+		}
+	}
+	
+	/**
+	 * Record whether an event is hovered over or focused, firing timelineEventOpen when its content is first shown, and timelineEventClose when it is hidden again.
+	 * @protected
+	 * @param {HTMLElement} event
+	 * @param {string} reason - "hover" or "focus"
+	 * @param {boolean} open
+	 * @param {Event} originalEvent
+	 */
+	_setEventOpen(event, reason, open, originalEvent) {
+		const state = this._eventStates.get(event) ?? new Set();
+		const wasOpen = state.size > 0;
+		if (open) {
+			state.add(reason);
+			this._eventStates.set(event, state);
+		} else {
+			state.delete(reason);
+			if (state.size === 0) this._eventStates.delete(event);
+		}
+		
+		const isOpen = state.size > 0;
+		if (wasOpen !== isOpen) {
+			this._dispatch(isOpen ? 'timelineEventOpen' : 'timelineEventClose', { ...this._getEventDetail(event), originalEvent: originalEvent });
+		}
+	}
+	
+	/**
+	 * Get the detail for an entry's events: its ID, data and geometry.
+	 * @protected
+	 * @param {HTMLElement} entry
+	 * @return {object}
+	 */
+	_getEntryDetail(entry) {
+		return {
+			id: entry.id,
+			entry: { id: entry.id, name: entry.innerText, ...this._diagramInstance.entryData(entry) },
+			geometry: this._diagramInstance.getGeometry(entry)
+		};
+	}
+	
+	/**
+	 * Get the detail for an event marker's events: its date and text, its target entry's ID and data, if any, and its geometry.
+	 * @protected
+	 * @param {HTMLElement} event
+	 * @return {object}
+	 */
+	_getEventDetail(event) {
+		const target = ( event.dataset.target ? this._getEntry(event.dataset.target) : null );
+		return {
+			element: event,
+			year: event.dataset.year,
+			content: event.innerText,
+			target: event.dataset.target ?? null,
+			entry: ( target ? this._getEntryDetail(target).entry : null ),
+			geometry: this._diagramInstance.getGeometry(event)
+		};
+	}
+	
+	/**
+	 * Get the detail for a connector's events: its type, the entries it joins, and its start and end points.
+	 * @protected
+	 * @param {Element} connector
+	 * @return {object}
+	 */
+	_getConnectorDetail(connector) {
+		const settings = this._diagramInstance.getConnector(connector).settings;
+		return {
+			element: connector,
+			type: settings.type,
+			id: settings.entry,
+			target: settings.target ?? settings.offView ?? null,
+			entry: this._getEntryDetail(this._getEntry(settings.entry)).entry,
+			geometry: { start: { ...settings.start }, end: { ...settings.end } }
+		};
+	}
+	
+	/**
+	 * Fire timelineZoom and timelinePan when the pan and zoom controller changes the diagram's scale or position.
+	 * Zooming about a point also moves the diagram, so fires both.
+	 * @protected
+	 * @param {object} view - The detail of the panzoomchange event
+	 */
+	_viewChangeHandler(view) {
+		const previous = this._view;
+		this._view = { x: view.x, y: view.y, scale: view.scale };
+		const detail = { ...this._view, previous: previous, originalEvent: view.originalEvent ?? null };
+		
+		if (view.scale !== previous.scale && this._config.semanticZoom === true) {
+			this._setDetailLevel(view.scale);
+		}
+		if (this._minimap) {
+			this._minimap.setView(this._getVisibleArea());
+		}
+		this._stateChanged();
+		if (view.scale !== previous.scale) {
+			this._dispatch('timelineZoom', detail);
+		}
+		if (view.x !== previous.x || view.y !== previous.y) {
+			this._dispatch('timelinePan', detail);
+		}
+	}
+	
+	/**
+	 * Get the level of detail shown by semantic zoom: "low" when zoomed out below lowDetailScale, "high" when zoomed in to highDetailScale or more, and "medium" otherwise.
+	 * @public
+	 * @return {string|null} The level, or null if semanticZoom isn't enabled or the Timeline hasn't been created
+	 */
+	getDetailLevel() {
+		return this._detailLevel ?? null;
+	}
+	
+	/**
+	 * Set the level of detail for the zoom scale, as the class "detail-low", "detail-medium" or "detail-high" on the container.
+	 * @protected
+	 * @param {number} scale
+	 * @fires Timeline#timelineDetailChange
+	 */
+	_setDetailLevel(scale) {
+		let level = "medium";
+		if (scale < this._config.lowDetailScale) {
+			level = "low";
+		} else if (scale >= this._config.highDetailScale) {
+			level = "high";
+		}
+		if (level === this._detailLevel) return;
+		
+		if (this._detailLevel) {
+			this._diagram.classList.remove(`detail-${this._detailLevel}`);
+		}
+		this._diagram.classList.add(`detail-${level}`);
+		this._detailLevel = level;
+		this._dispatch('timelineDetailChange', { level: level, scale: scale });
+	}
+	
+	/**
+	 * Fired when the level of detail shown by semantic zoom changes, including when the Timeline is created.
+	 * @event Timeline#timelineDetailChange
+	 * @type {object}
+	 * @public
+	 * @property {object} details
+	 * @property {string} details.level - "low", "medium" or "high"
+	 * @property {number} details.scale - the zoom scale
+	 */
+	
+	/**
+	 * Play the diagram through time: a playhead moves along the time axis, and entries, connectors and events appear as it reaches their years.
+	 * Playing starts from the playhead, or from the beginning if it is at the end or playback hasn't started. If panning and zooming is enabled and playbackFollow is set, the view follows the playhead.
+	 * The Timeline must have been created first.
+	 * @public
+	 * @fires Timeline#timelinePlay
+	 */
+	play() {
+		this._checkPlayback();
+		if (this._playback.playing) return;
+		if (this._playbackYear === null) {
+			this._playback.seek(0);
+		}
+		this._playback.play();
+		this._updatePlaybackControls();
+		this._dispatch('timelinePlay', { year: this._playbackYear, speed: this._playback.speed });
+	}
+	
+	/**
+	 * Pause playback, leaving the diagram as at the playhead.
+	 * @public
+	 * @fires Timeline#timelinePause
+	 */
+	pause() {
+		this._checkPlayback();
+		if (!this._playback.playing) return;
+		this._playback.pause();
+		this._updatePlaybackControls();
+		this._dispatch('timelinePause', { year: this._playbackYear, ended: false });
+	}
+	
+	/**
+	 * Move the playhead to a year, showing the diagram as at that year. Playback continues from there if playing.
+	 * @public
+	 * @param {number|string} year - A year (negative for BCE), or a date. Years outside the timeline move the playhead to its start or end.
+	 */
+	seek(year) {
+		this._checkPlayback();
+		if (!isValidDate(year)) {
+			throw new Error(`Invalid year "${year}". The year must be a year (negative for BCE, with no year 0), or a date in the format YYYY-MM or YYYY-MM-DD.`);
+		}
+		this._playback.seek(this._diagramInstance.yearToWidth(year));
+	}
+	
+	/**
+	 * Set the speed of playback.
+	 * @public
+	 * @param {number} speed - The speed in years per second
+	 */
+	setPlaybackSpeed(speed) {
+		this._checkPlayback();
+		this._playback.setSpeed(speed);
+		this._updatePlaybackControls();
+	}
+	
+	/**
+	 * Stop playback, and show the whole diagram again. Playing again starts from the beginning.
+	 * @public
+	 * @fires Timeline#timelinePause
+	 */
+	stopPlayback() {
+		this._checkPlayback();
+		this.pause();
+		this._playbackYear = null;
+		this._diagramInstance.setPlayhead(null);
+		this._updatePlaybackControls();
+	}
+	
+	/**
+	 * Get the state of playback.
+	 * @public
+	 * @return {object|null} Whether it is playing, the year at the playhead (null if playback hasn't started or has been stopped), and the speed in years per second, or null if the Timeline hasn't been created
+	 */
+	getPlayback() {
+		if (!this._playback) return null;
+		return { playing: this._playback.playing, year: this._playbackYear, speed: this._playback.speed };
+	}
+	
+	/**
+	 * Throw an error if playback can't be used, as the Timeline hasn't been created.
+	 * @protected
+	 */
+	_checkPlayback() {
+		if (!this._playback) {
+			throw new Error("The Timeline must be created before using playback.");
+		}
+	}
+	
+	/**
+	 * Set up playback, and the playback controls if their element is in the document.
+	 * @protected
+	 */
+	_initPlayback() {
+		const config = this._diagramInstance.config;
+		let speed = this._config.playbackSpeed;
+		if (!(speed > 0)) {
+			console.warn(`Invalid playbackSpeed "${speed}". Using ${defaultTimelineConfig.playbackSpeed} years per second.`);
+			speed = defaultTimelineConfig.playbackSpeed;
+		}
+		this._playbackYear = null;
+		this._playback = new Playback(this._diagramInstance.yearToWidth(config.yearEnd), config.yearWidth, speed,
+			(position) => this._playheadMoved(position),
+			() => {
+				this._updatePlaybackControls();
+				this._dispatch('timelinePause', { year: this._playbackYear, ended: true });
+			}
+		);
+		
+		const element = document.getElementById(this._config.playbackControls);
+		if (element) {
+			this._initPlaybackControls(element);
+		}
+	}
+	
+	/**
+	 * Show the diagram as at the playhead when it moves, and follow it with the view if set to.
+	 * @protected
+	 * @param {number} position - The playhead's position in px along the time axis
+	 * @fires Timeline#timelinePlaybackYear
+	 */
+	_playheadMoved(position) {
+		this._diagramInstance.setPlayhead(position);
+		if (this._pz && this._config.playbackFollow === true) {
+			const area = this._getVisibleArea();
+			if (this._diagramConfig.orientation === "vertical") {
+				this._moveVisibleArea(area.x, position - area.height/2);
+			} else {
+				this._moveVisibleArea(position - area.width/2, area.y);
+			}
+		}
+		
+		const year = this._diagramInstance.widthToYear(position);
+		const changed = ( year !== this._playbackYear );
+		this._playbackYear = year;
+		this._updatePlaybackControls();
+		if (changed) {
+			this._dispatch('timelinePlaybackYear', { year: year, position: position });
+		}
+	}
+	
+	/**
+	 * Add a play/pause button, a slider to move the playhead, the year at the playhead, and a choice of speeds to the playback controls element.
+	 * @protected
+	 * @param {HTMLElement} element
+	 */
+	_initPlaybackControls(element) {
+		const config = this._diagramInstance.config;
+		const create = (tag, className) => {
+			const el = document.createElement(tag);
+			el.classList.add(`timeline-playback-${className}`);
+			return el;
+		};
+		
+		const play = create("button", "play");
+		play.type = "button";
+		
+		//The slider runs along the continuous scale of years, so that there's no gap for year 0
+		const seek = create("input", "seek");
+		seek.type = "range";
+		seek.min = parseDate(config.yearStart);
+		seek.max = parseDate(config.yearEnd);
+		seek.step = "any";
+		seek.setAttribute("aria-label", "Year");
+		
+		const year = create("output", "year");
+		const speed = create("select", "speed");
+		speed.setAttribute("aria-label", "Speed");
+		for (const s of [...new Set([ ...playbackSpeeds, this._playback.speed ])].sort((a, b) => a - b)) {
+			const option = document.createElement("option");
+			option.value = s;
+			option.innerText = `${s} ${s === 1 ? "year" : "years"} per second`;
+			speed.append(option);
+		}
+		
+		this._playbackControls = { element: element, play: play, seek: seek, year: year, speed: speed, addedClass: !element.classList.contains("timeline-playback") };
+		element.classList.add("timeline-playback");
+		element.append(play, seek, year, speed);
+		
+		this._listen(play, 'click', () => ( this._playback.playing ? this.pause() : this.play() ));
+		this._listen(seek, 'input', () => this._playback.seek((parseFloat(seek.value) - parseFloat(seek.min)) * config.yearWidth));
+		this._listen(speed, 'change', () => this.setPlaybackSpeed(parseFloat(speed.value)));
+		this._updatePlaybackControls();
+	}
+	
+	/**
+	 * Show the current state of playback in the playback controls, if present.
+	 * @protected
+	 */
+	_updatePlaybackControls() {
+		const controls = this._playbackControls;
+		if (!controls) return;
+		
+		const stopped = ( this._playbackYear === null );
+		controls.play.innerText = ( this._playback.playing ? "Pause" : "Play" );
+		controls.seek.value = parseFloat(controls.seek.min) + ( stopped ? 0 : this._playback.position / this._diagramInstance.config.yearWidth );
+		const year = ( stopped ? "" : formatYear(this._playbackYear) );
+		controls.year.value = year;
+		controls.seek.setAttribute("aria-valuetext", year);
+		controls.speed.value = this._playback.speed;
+	}
+	
+	/**
+	 * Remove the playback controls.
+	 * @protected
+	 */
+	_destroyPlaybackControls() {
+		const controls = this._playbackControls;
+		for (const el of [ controls.play, controls.seek, controls.year, controls.speed ]) {
+			el.remove();
+		}
+		if (controls.addedClass) {
+			controls.element.classList.remove("timeline-playback");
+			if (controls.element.classList.length === 0) controls.element.removeAttribute("class");
+		}
+	}
+	
+	/**
+	 * Fired when playback starts.
+	 * @event Timeline#timelinePlay
+	 * @type {object}
+	 * @public
+	 * @property {object} details
+	 * @property {number} details.year - the year at the playhead, negative for BCE
+	 * @property {number} details.speed - the speed in years per second
+	 */
+	
+	/**
+	 * Fired when playback is paused or stopped, or reaches the end of the timeline.
+	 * @event Timeline#timelinePause
+	 * @type {object}
+	 * @public
+	 * @property {object} details
+	 * @property {number} details.year - the year at the playhead
+	 * @property {boolean} details.ended - whether playback reached the end
+	 */
+	
+	/**
+	 * Fired when the playhead reaches a new year, whether playing or moved by seek().
+	 * @event Timeline#timelinePlaybackYear
+	 * @type {object}
+	 * @public
+	 * @property {object} details
+	 * @property {number} details.year - the year, negative for BCE
+	 * @property {number} details.position - the playhead's position in px along the time axis
+	 */
+	
+	/**
+	 * Fired when a swimlane is collapsed or expanded, by clicking its header or summary, or by collapseLane(), expandLane() or toggleLane().
+	 * @event Timeline#timelineLaneToggle
+	 * @type {object}
+	 * @public
+	 * @property {object} details
+	 * @property {string} details.group - the lane's group
+	 * @property {boolean} details.collapsed - whether the lane is now collapsed
+	 */
+	
+	/**
+	 * Fired when an entry is clicked or tapped. Clicks at the end of dragging the diagram are ignored.
+	 * All events are fired on the container. Entry events have the entry's ID, data and geometry:
+	 * @event Timeline#timelineEntryClick
+	 * @type {object}
+	 * @public
+	 * @property {object} details
+	 * @property {string} details.id - the ID of the entry
+	 * @property {object} details.entry - the entry's data, in the same format as for addEntry()
+	 * @property {object} details.geometry - the entry's position and size: x, y, width and height in px from the top left of the diagram, and its row
+	 * @property {Event} details.originalEvent - the DOM event which caused this event
+	 */
+	
+	/**
+	 * Fired when the pointer moves onto an entry. This has the same details as timelineEntryClick.
+	 * @event Timeline#timelineEntryHover
+	 * @type {object}
+	 * @public
+	 */
+	
+	/**
+	 * Fired when the pointer moves off an entry. This has the same details as timelineEntryClick.
+	 * @event Timeline#timelineEntryHoverEnd
+	 * @type {object}
+	 * @public
+	 */
+	
+	/**
+	 * Fired when an entry is focused. This has the same details as timelineEntryClick.
+	 * @event Timeline#timelineEntryFocus
+	 * @type {object}
+	 * @public
+	 */
+	
+	/**
+	 * Fired when an entry loses the focus. This has the same details as timelineEntryClick.
+	 * @event Timeline#timelineEntryBlur
+	 * @type {object}
+	 * @public
+	 */
+	
+	/**
+	 * Fired when an event's content is shown, by hovering over or focusing it.
+	 * @event Timeline#timelineEventOpen
+	 * @type {object}
+	 * @public
+	 * @property {object} details
+	 * @property {HTMLElement} details.element - the event's element
+	 * @property {string} details.year - the date of the event
+	 * @property {string} details.content - the text of the event
+	 * @property {string|null} details.target - the ID of the entry the event is for, if any
+	 * @property {object|null} details.entry - the data of the entry the event is for, if any
+	 * @property {object} details.geometry - the event's position and size: x, y, width and height in px from the top left of the diagram
+	 * @property {Event} details.originalEvent - the DOM event which caused this event
+	 */
+	
+	/**
+	 * Fired when an event's content is hidden again, when it is neither hovered over nor focused. This has the same details as timelineEventOpen.
+	 * @event Timeline#timelineEventClose
+	 * @type {object}
+	 * @public
+	 */
+	
+	/**
+	 * Fired when the pointer moves onto a connector.
+	 * @event Timeline#timelineConnectorHover
+	 * @type {object}
+	 * @public
+	 * @property {object} details
+	 * @property {Element} details.element - the connector's element
+	 * @property {string} details.type - the type of connector: split, merge, become, end or link
+	 * @property {string} details.id - the ID of the entry the connector is drawn for
+	 * @property {string|null} details.target - the ID of the entry at the other end, if any
+	 * @property {object} details.entry - the data of the entry the connector is drawn for
+	 * @property {object} details.geometry - the start and end points of the connector, each with an x and y in px from the top left of the diagram
+	 * @property {Event} details.originalEvent - the DOM event which caused this event
+	 */
+	
+	/**
+	 * Fired when the pointer moves off a connector. This has the same details as timelineConnectorHover.
+	 * @event Timeline#timelineConnectorHoverEnd
+	 * @type {object}
+	 * @public
+	 */
+	
+	/**
+	 * Fired when the diagram is zoomed. (Only applicable if panning and zooming is enabled).
+	 * @event Timeline#timelineZoom
+	 * @type {object}
+	 * @public
+	 * @property {object} details
+	 * @property {number} details.x - the horizontal pan, in px
+	 * @property {number} details.y - the vertical pan, in px
+	 * @property {number} details.scale - the zoom scale
+	 * @property {object} details.previous - the x, y and scale before the change
+	 * @property {Event|null} details.originalEvent - the DOM event which caused the change, if any
+	 */
+	
+	/**
+	 * Fired when the diagram is panned, including when zooming about a point moves it. (Only applicable if panning and zooming is enabled).
+	 * This has the same details as timelineZoom.
+	 * @event Timeline#timelinePan
+	 * @type {object}
+	 * @public
+	 */
+	
+	/**
+	 * Fired before the layout is calculated, when the Timeline is created or refreshed.
+	 * @event Timeline#timelineBeforeLayout
+	 * @type {object}
+	 * @public
+	 * @property {object} details
+	 * @property {object[]} details.entries - the data of each entry, as given to the layout
+	 * @property {object[]} details.events - the data of each event, as given to the layout
+	 * @property {string[]} details.hidden - the IDs of the entries hidden by the filter
+	 * @property {object[]} details.periods - the data of each period, as given to the layout
+	 */
+	
+	/**
+	 * Fired after the layout is calculated, before it is drawn.
+	 * @event Timeline#timelineLayout
+	 * @type {object}
+	 * @public
+	 * @property {object} details
+	 * @property {object} details.result - the calculated layout, in the same format as returned by Timeline.layout()
+	 */
+	
+	/**
+	 * Fired after the diagram is drawn by create(), or redrawn by refresh().
+	 * @event Timeline#timelineRender
+	 * @type {object}
+	 * @public
+	 * @property {object} details
+	 * @property {number} details.width - the width of the diagram in px
+	 * @property {number} details.height - the height of the diagram in px
+	 * @property {number} details.rows - the number of rows
+	 * @property {string[]} details.hidden - the IDs of the entries hidden by the filter
+	 */
+	
+	/**
+	 * Set up keyboard navigation between the entries and events with the arrow keys, and Home and End for the first and last entry.
+	 * If panning and zooming is enabled, the diagram is panned to each entry focused with the keyboard.
+	 * @protected
+	 */
+	_initKeyboard() {
+		this._navigator = new KeyboardNavigator(this._diagram, this._diagramConfig.orientation);
+		this._listen(this._diagram, 'keydown', (e) => this._keyHandler(e));
+		this._listen(this._diagram, 'focusin', (e) => this._focusHandler(e));
+	}
+	
+	/**
+	 * Move the focus to another entry or event for arrow keys, Home and End.
+	 * @protected
+	 * @param {KeyboardEvent} e
+	 */
+	_keyHandler(e) {
+		if (e.altKey || e.ctrlKey || e.metaKey) return;
+		
+		if (this._detailPanel && (e.key === "Enter" || e.key === " ") && e.target.classList.contains("entry")) {
+			e.preventDefault();
+			this.showDetails(e.target.id);
+			return;
+		}
+		
+		const target = this._navigator.target(e.target, e.key);
+		if (!target) return;
+		
+		e.preventDefault();
+		//Panning moves the diagram instead of scrolling, so stop the browser scrolling the wrapper
+		target.focus({ preventScroll: Boolean(this._pz) });
+	}
+	
+	/**
+	 * Keep the focused entry or event in the tab order, and pan to entries focused with the keyboard.
+	 * Unlike panToEntry(), this keeps the zoom level, and doesn't fire timelineFind.
+	 * @protected
+	 * @param {FocusEvent} e
+	 */
+	_focusHandler(e) {
+		if (!this._navigator.getNodes().includes(e.target)) return;
+		
+		this._navigator.setCurrent(e.target);
+		if (this._pz && e.target.classList.contains("entry") && e.target.matches(":focus-visible")) {
+			this._centreEntry(e.target);
+			//Only replace the URL, so that the back button doesn't step through each entry focused
+			this._stateChanged();
+		}
+	}
+	
+	/**
+	 * Show the detail panel for an entry, with its dates, description and link, the entries before and after it, the entries linked with it, and its events.
+	 * The detailPanel option must be set.
+	 * @public
+	 * @param {string} id - The ID of a timeline entry
+	 */
+	showDetails(id) {
+		if (!this._detailPanel) {
+			throw new Error("The detail panel is not enabled. Set the detailPanel option to use it.");
+		}
+		
+		const entry = this._getEntry(id);
+		const details = ( entry ? this._diagramInstance.getEntryDetails(entry) : null );
+		if (!details) {
+			console.warn(`Cannot show details: ${id} isn't shown in the timeline.`);
+			return;
+		}
+		this._detailPanel.show(details, entry);
+		this._detailPanel.element.focus();
+		this._stateChanged(true);
+	}
+	
+	/**
+	 * Close the detail panel, if open.
+	 * @public
+	 */
+	hideDetails() {
+		if (this._detailPanel) this._detailPanel.hide();
+	}
+	
+	/**
+	 * Add the detail panel after the diagram, and open it when an entry is clicked.
+	 * If panning and zooming is enabled, the panel is added after its wrapper, so that it isn't moved with the diagram.
+	 * @protected
+	 */
+	_initDetailPanel() {
+		this._detailPanel = new DetailPanel(`${this._container}-detail`, (item) => this._selectDetail(item), () => this._stateChanged(true));
+		const diagram = ( this._pz ? this._diagram.parentElement : this._diagram );
+		diagram.after(this._detailPanel.element);
+		
+		this._listen(this._diagram, 'click', (e) => this._entryClickHandler(e));
+		this._setDetailRoles();
+	}
+	
+	/**
+	 * Mark the entries shown in the diagram as buttons opening the detail panel.
+	 * @protected
+	 */
+	_setDetailRoles() {
+		for (const entry of this._getElements().entries) {
+			entry.removeAttribute("aria-haspopup");
+		}
+		for (const entry of this._navigator.getNodes().filter(n => n.classList.contains("entry"))) {
+			entry.setAttribute("role", "button");
+			entry.setAttribute("aria-haspopup", "dialog");
+		}
+	}
+	
+	/**
+	 * After a refresh, update the detail panel for the changed entry, or close it if the entry is no longer shown.
+	 * @protected
+	 */
+	_refreshDetailPanel() {
+		this._setDetailRoles();
+		if (!this._detailPanel.open) return;
+		
+		const entry = this._getEntry(this._detailPanel.entryId);
+		const details = ( entry ? this._diagramInstance.getEntryDetails(entry) : null );
+		if (details) {
+			this._detailPanel.show(details, entry);
+		} else {
+			this._detailPanel.hide();
+		}
+	}
+	
+	/**
+	 * Open the detail panel for a clicked entry.
+	 * @protected
+	 * @param {MouseEvent} e
+	 */
+	_entryClickHandler(e) {
+		const entry = e.target.closest(".entry");
+		if (!entry || entry.parentElement !== this._diagram) return;
+		
+		//Ignore clicks at the end of dragging the diagram
+		if (this._isDrag(e)) return;
+		
+		this.showDetails(entry.id);
+	}
+	
+	/**
+	 * Go to an entry or event selected in the detail panel.
+	 * For an entry, its details are shown in the panel. For an event, it is focused to show its content.
+	 * @protected
+	 * @param {string|HTMLElement} item - An entry ID, or an event element
+	 */
+	_selectDetail(item) {
+		const el = ( typeof item === "string" ? this._getEntry(item) : item );
+		if (!el || !el.isConnected) return;
+		
+		const entryId = ( el.classList.contains("event") ? el.dataset.target : el.id );
+		if (this._pz) {
+			this.panToEntry(entryId);
+		} else {
+			el.scrollIntoView({ block: "center", inline: "center" });
+		}
+		
+		if (el.classList.contains("event")) {
+			el.focus({ preventScroll: true });
+		} else {
+			this.showDetails(entryId);
+		}
+	}
+	
+	/** 
+	 * Initialise panning and zooming on the diagram, with the built-in PanZoomController, or Panzoom if its function is given in the config.
+	 * Both have the same interface, so are used in the same way.
+	 * @protected
+	 */
+	_initPanzoom() {
+		const wrap = document.createElement("div");
+		wrap.classList.add("pz-wrap");
+		this._diagram.parentNode.insertBefore(wrap, this._diagram);
+		wrap.appendChild(this._diagram);
+		
+		const options = {
+			contain: 'outside',
+			maxScale: 3,
+			minScale: 0.5,
+			step: 0.1
+		};
+		if (typeof this._config.panzoom === "function") {
+			this._pz = this._config.panzoom(this._diagram, {
+				...options,
+				
+				//This option removes the default 'stopPropagation', which blocks touch events on clickable nodes.
+				handleStartEvent: (event) => {
+					event.preventDefault()
+				}
+			});
+		} else {
+			this._pz = new PanZoomController(this._diagram, options);
+		}
+		this._listen(this._diagram.parentElement, 'wheel', this._pz.zoomWithWheel);
+		
+		this._view = { ...this._pz.getPan(), scale: this._pz.getScale() };
+		this._listen(this._diagram, 'panzoomchange', (e) => this._viewChangeHandler(e.detail));
+	}
+	
+	/**
+	 * Draw the minimap in the configured element, if present in the document.
+	 * @protected
+	 */
+	_initMinimap() {
+		const element = document.getElementById(this._config.minimap);
+		if (!element) return;
+		if (element.querySelector(".minimap")) {
+			console.warn(`The minimap element "${this._config.minimap}" is already used by another timeline. Set a different minimap for each timeline.`);
+			return;
+		}
+		
+		this._minimap = new Minimap(element, (x, y) => this._moveVisibleArea(x, y));
+		this._drawMinimap();
+		this._listen(window, 'resize', () => this._minimap.setView(this._getVisibleArea()));
+	}
+	
+	/**
+	 * Draw the minimap for the diagram's current layout and view.
+	 * @protected
+	 */
+	_drawMinimap() {
+		this._minimap.draw(this._diagramInstance.getLayout());
+		this._minimap.setView(this._getVisibleArea());
+	}
+	
+	/**
+	 * Get the part of the diagram in view within the pan and zoom wrapper.
+	 * This is measured from the elements as drawn, so works however the pan and zoom controller positions the diagram.
+	 * @protected
+	 * @return {object} The x, y, width and height, in px within the diagram at a scale of 1
+	 */
+	_getVisibleArea() {
+		const wrap = this._diagram.parentElement.getBoundingClientRect();
+		const diagram = this._diagram.getBoundingClientRect();
+		const scale = this._pz.getScale();
+		return {
+			x: (wrap.left - diagram.left) / scale,
+			y: (wrap.top - diagram.top) / scale,
+			width: wrap.width / scale,
+			height: wrap.height / scale
+		};
+	}
+	
+	/**
+	 * Pan so that the top left of the view is at the given position in the diagram, e.g. when the view is dragged in the minimap.
+	 * @protected
+	 * @param {number} x
+	 * @param {number} y
+	 */
+	_moveVisibleArea(x, y) {
+		const area = this._getVisibleArea();
+		const pan = this._pz.getPan();
+		this._pz.pan(pan.x - (x - area.x), pan.y - (y - area.y));
+	}
+	
+	/**
+	 * Get the state of the Timeline's view: its zoom and position, the selected entry, the highlighted lineage, the filter and the collapsed swimlanes.
+	 * This is what is kept in the URL if the urlState option is set, and can be restored with setState().
+	 * The Timeline must have been created first.
+	 * @public
+	 * @return {object} state
+	 * @property {number|null} state.zoom - the zoom scale, or null if panning and zooming isn't enabled
+	 * @property {object|null} state.center - the x and y, in px within the diagram, of the point at the centre of the view
+	 * @property {number[]|null} state.years - the first and last years in view, negative for BCE
+	 * @property {string|null} state.entry - the ID of the entry shown in the detail panel
+	 * @property {string|null} state.lineage - the ID of the entry whose lineage is highlighted by highlightLineage(). (Lineages highlighted by hovering over entries aren't included.)
+	 * @property {object|null} state.filter - the groups, colours and tags given to filter(). A filter given as a function can't be included, so is shown as null.
+	 * @property {object|null} state.hidden - the groups, colours and tags unchecked in the filter controls
+	 * @property {string[]} state.collapsed - the groups whose swimlanes are collapsed
+	 */
+	getState() {
+		if (!this._diagramInstance) {
+			throw new Error("The Timeline must be created before getting its state.");
+		}
+		const copy = (lists) => ( lists ? Object.fromEntries(Object.entries(lists).map(([list, values]) => [ list, [...values] ])) : null );
+		const state = {
+			zoom: null,
+			center: null,
+			years: null,
+			entry: ( this._detailPanel && this._detailPanel.open ? this._detailPanel.entryId : null ),
+			lineage: this._selectedLineage ?? null,
+			filter: copy(this._filterState.filter),
+			hidden: copy(this._filterState.hidden),
+			collapsed: [...this._collapsedLanes]
+		};
+		if (this._pz) {
+			const area = this._getVisibleArea();
+			state.zoom = Math.round(this._pz.getScale() * 1000) / 1000;
+			state.center = { x: Math.round(area.x + area.width/2), y: Math.round(area.y + area.height/2) };
+			state.years = this._getVisibleYears(area);
+		}
+		return state;
+	}
+	
+	/**
+	 * Restore the state of the Timeline's view, as returned by getState(). Any part of the state can be left out to leave it unchanged.
+	 * The view is set from the zoom and center if given. Otherwise, if years are given, the diagram is zoomed and panned to fit them in the view.
+	 * The Timeline must have been created first.
+	 * @public
+	 * @param {object} state - The same as returned by getState()
+	 */
+	setState(state) {
+		if (!this._diagramInstance) {
+			throw new Error("The Timeline must be created before setting its state.");
+		}
+		
+		const filterState = { filter: state.filter ?? null, hidden: state.hidden ?? null };
+		if ((state.filter !== undefined || state.hidden !== undefined) && JSON.stringify(filterState) !== JSON.stringify(this._filterState)) {
+			this._checkFilterControls(filterState.hidden ?? {});
+			if (filterState.hidden) {
+				this._hideValues(filterState.hidden);
+			} else {
+				this.filter(filterState.filter);
+			}
+		}
+		const collapsed = ( state.collapsed ?? [] ).map(String);
+		if (state.collapsed !== undefined && JSON.stringify(collapsed) !== JSON.stringify(this._collapsedLanes)) {
+			this._setCollapsedLanes(collapsed);
+		}
+		if (this._pz) {
+			this._setView(state);
+		}
+		if (state.entry !== undefined && this._detailPanel) {
+			if (state.entry) {
+				this.showDetails(state.entry);
+			} else {
+				this.hideDetails();
+			}
+		}
+		if (state.lineage && !this._getEntry(state.lineage)) {
+			console.warn(`Cannot highlight lineage: ${state.lineage} isn't in the timeline.`);
+		} else if (state.lineage) {
+			this.highlightLineage(state.lineage, { links: this._config.lineageLinks === true });
+		} else if (state.lineage === null) {
+			this.clearLineage();
+		}
+	}
+	
+	/**
+	 * Zoom and pan to the view given in a state. See setState().
+	 * @protected
+	 * @param {object} state
+	 */
+	_setView({ zoom, center, years }) {
+		const vertical = ( this._diagramConfig.orientation === "vertical" );
+		if (years && !(years.length === 2 && years.every(y => isValidDate(y)) && years[0] < years[1])) {
+			console.warn(`Invalid year range ${JSON.stringify(years)}. The years must be two valid years, the first before the second.`);
+			years = null;
+		}
+		
+		if (zoom) {
+			this._pz.zoom(zoom);
+		} else if (years) {
+			const area = this._getVisibleArea();
+			const span = this._diagramInstance.yearToWidth(years[1]) - this._diagramInstance.yearToWidth(years[0]);
+			this._pz.zoom(this._pz.getScale() * ( vertical ? area.height : area.width ) / span);
+		}
+		
+		const area = this._getVisibleArea();
+		if (center) {
+			this._moveVisibleArea(center.x - area.width/2, center.y - area.height/2);
+		} else if (years) {
+			const start = this._diagramInstance.yearToWidth(years[0]);
+			this._moveVisibleArea(vertical ? area.x : start, vertical ? start : area.y);
+		}
+	}
+	
+	/**
+	 * Get the first and last years within the part of the diagram in view.
+	 * @protected
+	 * @param {object} area - The area in view, from _getVisibleArea()
+	 * @return {number[]}
+	 */
+	_getVisibleYears(area) {
+		const layout = this._diagramInstance.getLayout();
+		const [start, length, size] = ( layout.orientation === "vertical" ? [area.y, area.height, layout.height] : [area.x, area.width, layout.width] );
+		return [
+			this._diagramInstance.widthToYear(Math.max(start, 0)),
+			this._diagramInstance.widthToYear(Math.min(start + length, size), "ceil")
+		];
+	}
+	
+	/**
+	 * Keep the Timeline's state in the URL, restoring it when the page loads and when the browser's back and forward buttons are used.
+	 * @protected
+	 */
+	_initUrlState() {
+		if (![ "hash", "query" ].includes(this._config.urlState)) {
+			console.warn(`Invalid urlState "${this._config.urlState}". The urlState must be "hash", "query" or false. The state won't be kept in the URL.`);
+			return;
+		}
+		this._urlState = new UrlState(this._config.urlState, String(this._config.urlStatePrefix));
+		this._urlStatePush = false;
+		this._listen(window, 'popstate', () => this._restoreUrlState());
+		this._setTimeout(() => this._restoreUrlState(true));
+	}
+	
+	/**
+	 * Set the Timeline's state from the URL.
+	 * When the page loads, only the parts of the state in the URL are set. After that, the filter, selected entry, lineage and collapsed swimlanes are cleared if not in the URL, to return to the state the URL was written for.
+	 * @protected
+	 * @param {boolean} [initial = false] - Whether the page has just loaded
+	 */
+	_restoreUrlState(initial = false) {
+		const state = this._urlState.read();
+		if (initial && Object.keys(state).length === 0) return;
+		
+		this._restoringState = true;
+		try {
+			this.setState(( initial ? state : { filter: null, hidden: null, entry: null, lineage: null, collapsed: null, ...state } ));
+		} finally {
+			this._restoringState = false;
+		}
+	}
+	
+	/**
+	 * Write the Timeline's state to the URL once it stops changing, if the urlState option is set.
+	 * Changes such as filtering, showing an entry's details or finding an entry (with the find form or the URL hash) add to the browser's history,
+	 * while panning, zooming and moving the focus between entries only update the current URL,
+	 * so that the back button returns to the view before the last change, rather than stepping back through every movement.
+	 * @protected
+	 * @param {boolean} [push = false] - Whether the change should add to the browser's history
+	 */
+	_stateChanged(push = false) {
+		if (!this._urlState || this._restoringState) return;
+		
+		this._urlStatePush = this._urlStatePush || push;
+		clearTimeout(this._urlStateTimeout);
+		this._urlStateTimeout = setTimeout(() => {
+			this._urlState.write(this.getState(), this._urlStatePush);
+			this._urlStatePush = false;
+		}, urlStateDelay);
+	}
+	
+	/**
+	 * Handle URL hash. Hash of format '#find-{ID}' will pan to the given entry ID, if it exists in this timeline.
+	 * With several timelines on the page, '#find-{container ID}/{ID}' will only pan the timeline in the given container.
+	 * A hash that can't be decoded is ignored.
+	 * @protected
+	 * @param {object} e
+	 */
+	_hashHandler() {
+		const hash = UrlState.decodeHash();
+		if (hash === null || !hash.startsWith('find-')) return;
+		
+		const scoped = `find-${this._container}/`;
+		const id = ( hash.startsWith(scoped) ? hash.slice(scoped.length) : hash.replace('find-', '') );
+		if(this._getEntry(id) && this._pz) this.panToEntry(id);
 	}
 }
 
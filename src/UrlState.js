@@ -0,0 +1,154 @@
+/**
+ * The lists a filter can have, and the lists of values unchecked in the filter controls.
+ */
+const filterLists = [ "groups", "colours", "tags" ];
+
+/**
+ * Class reading and writing the state of a Timeline's view in the page's URL, so that the view can be shared as a link, and returned to with the browser's back and forward buttons.
+ * The state is kept as parameters in either the URL's hash or its query string, leaving any other parameters as they are.
+ * See Timeline.getState() for the format of the state.
+ */
+class UrlState {
+
+	/**
+	 * @param {string} mode - "hash" or "query"
+	 * @param {string} [prefix = ""] - Added to the name of each parameter, to keep apart the states of timelines on the same page
+	 */
+	constructor(mode, prefix = "") {
+		if (![ "hash", "query" ].includes(mode)) {
+			throw new Error(`Invalid URL state mode "${mode}". The mode must be "hash" or "query".`);
+		}
+		this._mode = mode;
+		this._prefix = prefix;
+	}
+
+	/**
+	 * Get the URL's hash, decoded and without the leading "#".
+	 * @return {string|null} The hash, or null if it can't be decoded, e.g. as it has a malformed escape from a hand-edited or truncated link
+	 */
+	static decodeHash() {
+		try {
+			return decodeURIComponent(location.hash.slice(1));
+		} catch {
+			return null;
+		}
+	}
+
+	/**
+	 * Read the state from the URL. Invalid values are ignored.
+	 * @return {object} The parts of the state given in the URL
+	 */
+	read() {
+		const params = this._getParams();
+		const get = (key) => params.get(this._prefix + key);
+		const state = {};
+
+		const zoom = parseFloat(get("zoom"));
+		if (zoom > 0) state.zoom = zoom;
+		const center = this._parseNumbers(get("center"));
+		if (center) state.center = { x: center[0], y: center[1] };
+		const years = this._parseNumbers(get("years"));
+		if (years) state.years = years;
+		for (const key of [ "entry", "lineage" ]) {
+			if (get(key)) state[key] = get(key);
+		}
+
+		const lists = (prefix) => {
+			const found = filterLists.filter(list => params.has(this._prefix + prefix + list));
+			if (found.length === 0) return undefined;
+			//An empty list is written as a single empty value
+			return Object.fromEntries(found.map(list => [ list, params.getAll(this._prefix + prefix + list).filter(v => v !== "") ]));
+		};
+		const filter = lists(""), hidden = lists("hide-");
+		if (filter) state.filter = filter;
+		if (hidden) state.hidden = hidden;
+		const collapsed = params.getAll(this._prefix + "collapsed").filter(v => v !== "");
+		if (collapsed.length > 0) state.collapsed = collapsed;
+		return state;
+	}
+
+	/**
+	 * Write the state to the URL, if it has changed.
+	 * @param {object} state
+	 * @param {boolean} [push = false] - Whether to add an entry to the browser's history, rather than replacing the current one
+	 */
+	write(state, push = false) {
+		const params = this._getParams();
+		for (const key of this._getKeys()) {
+			params.delete(key);
+		}
+
+		const set = (key, value) => params.set(this._prefix + key, value);
+		if (state.zoom !== null && state.zoom !== undefined) set("zoom", state.zoom);
+		if (state.center) set("center", `${state.center.x},${state.center.y}`);
+		if (state.years) set("years", state.years.join(","));
+		if (state.entry) set("entry", state.entry);
+		if (state.lineage) set("lineage", state.lineage);
+		for (const group of state.collapsed ?? []) {
+			params.append(this._prefix + "collapsed", group);
+		}
+		for (const [prefix, lists] of [ [ "", state.filter ], [ "hide-", state.hidden ] ]) {
+			for (const [list, values] of Object.entries(lists ?? {})) {
+				const key = this._prefix + prefix + list;
+				if (values.length === 0) params.append(key, "");
+				for (const value of values) {
+					params.append(key, value);
+				}
+			}
+		}
+
+		//Commas are left unencoded, to keep pairs of numbers readable
+		const query = params.toString().replaceAll("%2C", ",");
+		const url = new URL(location.href);
+		if (this._mode === "hash") {
+			url.hash = query;
+		} else {
+			url.search = query;
+		}
+		if (url.href === location.href) return;
+		if (push) {
+			history.pushState(history.state, "", url.href);
+		} else {
+			history.replaceState(history.state, "", url.href);
+		}
+	}
+
+	/**
+	 * Get the parameters in the part of the URL used for the state.
+	 * In the hash, a #find-{id} hash (see Timeline.panToEntry()) is dropped, as it has already been used when the page loaded.
+	 * A hash that can't be decoded is treated as having no state.
+	 * @protected
+	 * @return {URLSearchParams}
+	 */
+	_getParams() {
+		if (this._mode === "query") {
+			return new URLSearchParams(location.search);
+		}
+		const hash = UrlState.decodeHash();
+		return new URLSearchParams(hash === null || hash.startsWith("find-") ? "" : location.hash.slice(1));
+	}
+
+	/**
+	 * Get the names of all the parameters used for the state.
+	 * @protected
+	 * @return {string[]}
+	 */
+	_getKeys() {
+		const keys = [ "zoom", "center", "years", "entry", "lineage", "collapsed", ...filterLists, ...filterLists.map(list => `hide-${list}`) ];
+		return keys.map(key => this._prefix + key);
+	}
+
+	/**
+	 * Parse a pair of numbers separated by a comma, e.g. "100,200".
+	 * @protected
+	 * @param {string|null} value
+	 * @return {number[]|null} The numbers, or null if the value isn't a valid pair
+	 */
+	_parseNumbers(value) {
+		const parts = String(value ?? "").split(",");
+		if (parts.length !== 2 || parts.some(p => p.trim() === "" || !Number.isFinite(Number(p)))) return null;
+		return parts.map(Number);
+	}
+}
+
+export default UrlState
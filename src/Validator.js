@@ -0,0 +1,236 @@
+import {parseDate, isValidDate} from './util.js';
+
+/**
+ * @typedef {object} ValidationIssue
+ * @property {string} severity - "error" if the data can't be drawn as given, or "warning" if it can be drawn but may not be as intended
+ * @property {string} code - A short identifier for the kind of problem, e.g. "missing-reference"
+ * @property {string|null} entry - The ID of the entry the problem is with (or an event's target), if any
+ * @property {number} [event] - For problems with an event, its index in the events
+ * @property {number} [period] - For problems with a period, its index in the periods
+ * @property {string|null} attribute - The attribute with the problem, named as in the entry or event data (e.g. "endEstimate")
+ * @property {string} message - A description of the problem
+ */
+
+/**
+ * Class checking timeline data for problems, without using the DOM.
+ * Entries, events and periods are given as plain objects in the same format as for Timeline.addEntry(), Timeline.addEvent() and Timeline.addPeriod().
+ */
+class Validator {
+
+	/**
+	 * @param {object} config
+	 * @param {number} config.yearStart - the starting year for the timeline
+	 * @param {number} config.yearEnd - the end year for the timeline
+	 */
+	constructor(config) {
+		this._config = config;
+	}
+
+	/**
+	 * Check the entries, events and periods, and return a list of all problems found.
+	 * @param {object[]} entries
+	 * @param {object[]} [events = []]
+	 * @param {object[]} [periods = []]
+	 * @return {ValidationIssue[]}
+	 */
+	validate(entries, events = [], periods = []) {
+		this._issues = [];
+		this._ids = new Map();
+		for (const entry of entries) {
+			if (entry.id !== undefined && entry.id !== "" && !this._ids.has(String(entry.id))) {
+				this._ids.set(String(entry.id), entry);
+			}
+		}
+		//Entries with invalid dates are left out of the diagram, so references to them can't be drawn either
+		this._usable = new Map([...this._ids].filter(([, e]) => isValidDate(e.start) && ([ undefined, null, "" ].includes(e.end) || isValidDate(e.end))));
+
+		const seen = new Set();
+		for (const entry of entries) {
+			this._checkEntry(entry, seen);
+		}
+		this._checkCycles(entries);
+		events.forEach((event, i) => this._checkEvent(event, i));
+		periods.forEach((period, i) => this._checkPeriod(period, i));
+		return this._issues;
+	}
+
+	/**
+	 * Check a single entry's own data and references.
+	 * @protected
+	 * @param {object} entry
+	 * @param {Set} seen - The IDs of entries already checked, to find duplicates
+	 */
+	_checkEntry(entry, seen) {
+		const id = ( entry.id === undefined || entry.id === "" ? null : String(entry.id) );
+		if (id === null) {
+			this._add("error", "missing-property", null, "id", `Entry has no ID: ${JSON.stringify(entry)}.`);
+		} else if (seen.has(id)) {
+			this._add("error", "duplicate-id", id, "id", `${id}: More than one entry has this ID. Only the first is used.`);
+			return;
+		}
+		seen.add(id);
+
+		if (entry.start === undefined) {
+			this._add("error", "missing-property", id, "start", `${id}: Entries must have a start date.`);
+		}
+		const start = this._checkDate(entry, "start", id);
+		const end = this._checkDate(entry, "end", id);
+
+		if (start !== undefined && end !== undefined && end < start) {
+			this._add("error", "end-before-start", id, "end", `${id}: The end (${entry.end}) is before the start (${entry.start}).`);
+		}
+		if (start !== undefined && start > parseDate(this._config.yearEnd)) {
+			this._add("warning", "out-of-range", id, "start", `${id}: The start (${entry.start}) is after the end of the timeline (${this._config.yearEnd}), so the entry won't be visible.`);
+		}
+
+		for (const attribute of [ "become", "split", "merge", "links" ]) {
+			if (entry[attribute] === undefined) continue;
+			for (const ref of String(entry[attribute]).split(" ")) {
+				if (ref === id) {
+					this._add("error", "self-reference", id, attribute, `${id}: Given ${attribute} ID "${ref}" is the entry itself.`);
+				} else if (!this._ids.has(ref)) {
+					this._add("error", "missing-reference", id, attribute, `${id}: Given ${attribute} ID "${ref}" doesn't exist.`);
+				} else if (!this._usable.has(ref)) {
+					this._add("error", "missing-reference", id, attribute, `${id}: Given ${attribute} ID "${ref}" is an entry with invalid dates, which can't be drawn.`);
+				}
+			}
+		}
+
+		if (entry.merge !== undefined && entry.become !== undefined) {
+			this._add("error", "merge-and-become", id, "merge", `${id}: An entry can't both merge with another entry and become another entry.`);
+		}
+	}
+
+	/**
+	 * Find entries that become each other in a loop. The problem is reported for the entry whose become attribute completes the loop.
+	 * @protected
+	 * @param {object[]} entries
+	 */
+	_checkCycles(entries) {
+		const checked = new Set();
+		for (const entry of entries) {
+			const line = [];
+			let current = entry;
+			while (current && current.become !== undefined && !checked.has(current)) {
+				if (line.includes(current)) {
+					const last = line[line.length - 1];
+					const cycle = line.slice(line.indexOf(current)).map(e => e.id);
+					this._add("error", "become-cycle", String(last.id), "become", `${last.id}: Entries become each other in a loop (${cycle.join(" → ")} → ${current.id}).`);
+					break;
+				}
+				line.push(current);
+				current = this._usable.get(String(current.become));
+			}
+			for (const e of line) {
+				checked.add(e);
+			}
+		}
+	}
+
+	/**
+	 * Check a single event.
+	 * @protected
+	 * @param {object} event
+	 * @param {number} index
+	 */
+	_checkEvent(event, index) {
+		const target = ( event.target === undefined ? null : String(event.target) );
+		const label = `Event ${index + 1}${event.content ? ` ("${event.content}")` : ""}`;
+
+		for (const prop of [ "year", "content" ]) {
+			if (!event[prop]) {
+				this._add("error", "missing-property", target, prop, `${label}: Events must have a ${prop}.`, index);
+			}
+		}
+		if (target !== null && !this._ids.has(target)) {
+			this._add("error", "missing-reference", target, "target", `${label}: Given target ID "${target}" doesn't exist.`, index);
+		} else if (target !== null && !this._usable.has(target)) {
+			this._add("error", "missing-reference", target, "target", `${label}: Given target ID "${target}" is an entry with invalid dates, which can't be drawn.`, index);
+		}
+
+		const year = this._checkDate(event, "year", target, index, label);
+		if (year !== undefined && (year < parseDate(this._config.yearStart) || year > parseDate(this._config.yearEnd))) {
+			this._add("warning", "out-of-range", target, "year", `${label}: The year (${event.year}) is outside the timeline (${this._config.yearStart} to ${this._config.yearEnd}).`, index);
+		}
+	}
+
+	/**
+	 * Check a single period.
+	 * @protected
+	 * @param {object} period
+	 * @param {number} index
+	 */
+	_checkPeriod(period, index) {
+		const label = `Period ${index + 1}${period.name ? ` ("${period.name}")` : ""}`;
+		const add = (severity, code, attribute, message) => this._add(severity, code, null, attribute, `${label}: ${message}`, undefined, index);
+
+		for (const prop of [ "name", "start", "end" ]) {
+			if (!period[prop]) {
+				add("error", "missing-property", prop, `Periods must have a ${prop}.`);
+			}
+		}
+		const start = this._checkDate(period, "start", null, undefined, label, index);
+		const end = this._checkDate(period, "end", null, undefined, label, index);
+		if (start !== undefined && end !== undefined && end <= start) {
+			add("error", "end-before-start", "end", `The end (${period.end}) must be after the start (${period.start}).`);
+		}
+		if (start !== undefined && end !== undefined && (end <= parseDate(this._config.yearStart) || start >= parseDate(this._config.yearEnd))) {
+			add("warning", "out-of-range", "start", `The period (${period.start} to ${period.end}) is outside the timeline (${this._config.yearStart} to ${this._config.yearEnd}), so it won't be visible.`);
+		}
+
+		if (period.groups !== undefined && period.groups !== "") {
+			const groups = new Set([...this._ids.values()].filter(e => e.group !== undefined).map(e => String(e.group)));
+			for (const group of String(period.groups).split(" ")) {
+				if (!groups.has(group)) {
+					add("warning", "unknown-group", "groups", `No entries are in the given group "${group}".`);
+				}
+			}
+		} else if (period.rows !== undefined && period.rows !== "" && !/^\d+( \d+)?$/.test(String(period.rows).trim())) {
+			add("error", "invalid-rows", "rows", `Invalid rows "${period.rows}". The rows must be a row number, or the first and last row numbers separated by a space.`);
+		}
+	}
+	
+	/**
+	 * Check that a date property is valid, if set, and return it as a decimal year.
+	 * @protected
+	 * @param {object} data
+	 * @param {string} prop
+	 * @param {string|null} id
+	 * @param {number} [event] - The index, if checking an event
+	 * @param {string} [label] - The name to use in the message, if not the ID
+	 * @param {number} [period] - The index, if checking a period
+	 * @return {number|undefined}
+	 */
+	_checkDate(data, prop, id, event, label = id, period) {
+		if (data[prop] === undefined || data[prop] === "") return;
+		try {
+			return parseDate(data[prop]);
+		} catch {
+			this._add("error", "invalid-date", id, prop, `${label}: Invalid ${prop} "${data[prop]}". Dates must be a year (negative for BCE, with no year 0), or in the format YYYY-MM or YYYY-MM-DD.`, event, period);
+		}
+	}
+
+	/**
+	 * Add an issue to the list.
+	 * @protected
+	 * @param {string} severity
+	 * @param {string} code
+	 * @param {string|null} entry
+	 * @param {string|null} attribute
+	 * @param {string} message
+	 * @param {number} [event]
+	 * @param {number} [period]
+	 */
+	_add(severity, code, entry, attribute, message, event, period) {
+		const issue = { severity: severity, code: code, entry: entry, attribute: attribute, message: message };
+		if (event !== undefined) {
+			issue.event = event;
+		}
+		if (period !== undefined) {
+			issue.period = period;
+		}
+		this._issues.push(issue);
+	}
+}
+
+export default Validator
@@ -18,4 +18,91 @@ function applyConfig(defaults, conf) {
 	return c;
 }
 
-export {applyConfig}
+/**
+ * Matches a year, or an ISO 8601 date of the form YYYY, YYYY-MM or YYYY-MM-DD.
+ * Years may be negative, for BCE.
+ */
+const dateFormat = /^(-?\d+)(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/;
+
+/**
+ * Return the number of days in the given year.
+ * @param {number} year
+ * @return {number}
+ */
+function daysInYear(year) {
+	return ((year % 4 === 0 && year % 100 !== 0) || year % 400 === 0) ? 366 : 365;
+}
+
+/**
+ * Parse a date into a decimal year, so that dates of differing precision can be placed on the same scale.
+ * E.g. "1990" is 1990, "1990-07" is roughly 1990.5 and "1990-12-31" is just under 1991.
+ * Negative years are BCE, and there is no year 0: -1 (1 BCE) is directly followed by 1 (1 CE). So that the scale is continuous, BCE years are shifted by one,
+ * e.g. -1 is 0 and -500 is -499. Numbers are otherwise returned as they are.
+ * @param {number|string} date - A year, or an ISO 8601 date string (YYYY, YYYY-MM or YYYY-MM-DD)
+ * @return {number}
+ */
+function parseDate(date) {
+	if (typeof date === "number") {
+		if (date === 0) throw new Error(`Invalid date: "0". There is no year 0: 1 BCE (-1) is followed by 1 CE (1).`);
+		return ( date < 0 ? date + 1 : date );
+	}
+	
+	const parts = String(date).trim().match(dateFormat);
+	if (!parts) {
+		throw new Error(`Invalid date: "${date}". Dates must be a year, or in the format YYYY-MM or YYYY-MM-DD.`);
+	}
+	
+	const year = parseInt(parts[1]);
+	if (year === 0) {
+		throw new Error(`Invalid date: "${date}". There is no year 0: 1 BCE (-1) is followed by 1 CE (1).`);
+	}
+	const month = parts[2] ? parseInt(parts[2]) : 1;
+	const day = parts[3] ? parseInt(parts[3]) : 1;
+	
+	//Leap years are counted on the continuous scale, where 1 BCE is year 0
+	const scaleYear = ( year < 0 ? year + 1 : year );
+	const monthDays = [31, daysInYear(scaleYear) === 366 ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+	if (month < 1 || month > 12 || day < 1 || day > monthDays[month - 1]) {
+		throw new Error(`Invalid date: "${date}". The month or day is out of range.`);
+	}
+	
+	const dayOfYear = monthDays.slice(0, month - 1).reduce((a, b) => a + b, 0) + day - 1;
+	return scaleYear + dayOfYear / daysInYear(scaleYear);
+}
+
+/**
+ * Format a year for display, with BCE years (given as negative numbers) shown as e.g. "500 BCE".
+ * @param {number} year
+ * @return {string}
+ */
+function formatYear(year) {
+	return ( year < 0 ? `${-year} BCE` : String(year) );
+}
+
+/**
+ * Check if the given date is valid.
+ * @param {number|string} date
+ * @return {boolean}
+ */
+function isValidDate(date) {
+	try {
+		parseDate(date);
+	} catch {
+		return false;
+	}
+	return true;
+}
+
+/**
+ * Return the precision of the given date: "year", "month" or "day".
+ * @param {number|string} date
+ * @return {string}
+ */
+function datePrecision(date) {
+	const parts = String(date).trim().match(dateFormat);
+	if (parts && parts[3]) return "day";
+	if (parts && parts[2]) return "month";
+	return "year";
+}
+
+export {applyConfig, parseDate, isValidDate, datePrecision, formatYear}
@@ -0,0 +1,102 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {Layout} from '../src/Layout.js';
+
+//Problems in the data are reported with console.warn(), which isn't needed here
+console.warn = () => {};
+
+const config = { yearStart: 1900, yearEnd: 2000 };
+
+for (const attribute of [ "become", "split", "merge", "links" ]) {
+	test(`${attribute} referring to an entry with an invalid start is ignored`, () => {
+		const entries = [ { id: "A", start: "bad" }, { id: "B", start: 1950, [attribute]: "A" } ];
+		const result = new Layout(config).calculate(entries);
+
+		assert.deepEqual(result.entries.map(e => e.id), [ "B" ]);
+		assert.equal(result.entries[0].data[attribute], undefined);
+		assert.ok(result.issues.some(i => i.code === "missing-reference" && i.entry === "B" && i.attribute === attribute));
+	});
+}
+
+test("entries becoming each other in a loop are laid out", () => {
+	const entries = [ { id: "A", start: 1910, become: "B" }, { id: "B", start: 1920, become: "A" } ];
+	const result = new Layout(config).calculate(entries);
+
+	assert.equal(result.entries.length, 2);
+	assert.ok(result.issues.some(i => i.code === "become-cycle"));
+});
+
+test("strict mode throws for errors in the data", () => {
+	assert.throws(() => new Layout({ ...config, strict: true }).calculate([ { id: "A", start: 1950, split: "X" } ]), /Invalid timeline data/);
+});
+
+test("date labels are evenly spaced across the BCE/CE boundary", () => {
+	const result = new Layout({ yearStart: -300, yearEnd: 200, labelInterval: 100 }).calculate([ { id: "A", start: -250 } ]);
+	const labels = result.dates.labels;
+
+	assert.deepEqual(labels.map(l => l.year), [ -300, -200, -100, 1, 101 ]);
+	assert.equal(new Set(labels.slice(1).map((l, i) => l.position - labels[i].position)).size, 1);
+});
+
+test("guides are evenly spaced across the BCE/CE boundary", () => {
+	const result = new Layout({ yearStart: -20, yearEnd: 20, guideInterval: 5 }).calculate([ { id: "A", start: -10 } ]);
+
+	assert.ok(result.guides.some(g => g.year < 0) && result.guides.some(g => g.year > 0));
+	assert.equal(new Set(result.guides.map(g => g.length)).size, 1);
+});
+
+test("entries with day dates share rows where they don't overlap", () => {
+	const entries = [
+		{ id: "A", start: "1900-01-01", end: "1910-06-15" },
+		{ id: "B", start: "1920-03-02", end: "1930-12-31" },
+		{ id: "C", start: "1905-05-05", end: "1915-05-05" }
+	];
+	const rows = new Map(new Layout(config).calculate(entries).entries.map(e => [e.id, e.row]));
+
+	assert.equal(rows.get("A"), rows.get("B"));
+	assert.notEqual(rows.get("A"), rows.get("C"));
+});
+
+/**
+ * Count the entries crossed by the split lines, from the entries' own dates.
+ * @param {Layout} layout
+ * @param {object} result
+ * @return {number}
+ */
+function countCrossings(layout, result) {
+	const entries = new Map(result.entries.map(e => [e.id, e]));
+	let crossings = 0;
+	for (const c of result.connectors.filter(c => c.type === "split")) {
+		const [ a, b ] = [ entries.get(c.entry).row, entries.get(c.target).row ].sort((x, y) => x - y);
+		crossings += result.entries.filter(e => e.row > a && e.row < b && layout.yearToWidth(e.data.start) <= c.start.x && c.start.x < layout.yearToWidth(e.data.end)).length;
+	}
+	return crossings;
+}
+
+test("min-crossings doesn't cross more entries than basic", () => {
+	let seed = 1;
+	const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+	for (let n = 0; n < 10; n++) {
+		const entries = [];
+		for (let i = 0; i < 40; i++) {
+			const start = 1900 + Math.floor(random() * 90);
+			const entry = { id: `E${i}`, start: start, end: start + 3 + Math.floor(random() * 20) };
+			const earlier = entries.filter(e => e.start < start && e.end > start);
+			if (earlier.length > 0 && random() < 0.6) {
+				entry.split = earlier[Math.floor(random() * earlier.length)].id;
+			}
+			entries.push(entry);
+		}
+		const [ basic, min ] = [ "basic", "min-crossings" ].map(rowLayout => new Layout({ ...config, rowLayout: rowLayout }));
+		assert.ok(countCrossings(min, min.calculate(entries)) <= countCrossings(basic, basic.calculate(entries)), `Data set ${n}`);
+	}
+});
+
+test("widthToYear() reverses yearToWidth() across the BCE/CE boundary", () => {
+	const layout = new Layout({ yearStart: -100, yearEnd: 100 });
+	layout.calculate([]);
+	for (const year of [ -100, -2, -1, 1, 2, 99 ]) {
+		assert.equal(layout.widthToYear(layout.yearToWidth(year)), year);
+	}
+	assert.equal(layout.yearToWidth(1) - layout.yearToWidth(-1), layout.yearToWidth(2) - layout.yearToWidth(1));
+});
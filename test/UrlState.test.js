@@ -0,0 +1,20 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import UrlState from '../src/UrlState.js';
+
+test("the state is read from the hash", () => {
+	globalThis.location = new URL("http://localhost/#zoom=2&center=10,20&groups=a&groups=b");
+	assert.deepEqual(new UrlState("hash").read(), { zoom: 2, center: { x: 10, y: 20 }, filter: { groups: [ "a", "b" ] } });
+});
+
+test("a find hash has no state", () => {
+	globalThis.location = new URL("http://localhost/#find-A");
+	assert.equal(UrlState.decodeHash(), "find-A");
+	assert.deepEqual(new UrlState("hash").read(), {});
+});
+
+test("a hash that can't be decoded has no state", () => {
+	globalThis.location = new URL("http://localhost/#find-100%");
+	assert.equal(UrlState.decodeHash(), null);
+	assert.deepEqual(new UrlState("hash").read(), {});
+});
@@ -0,0 +1,82 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import Validator from '../src/Validator.js';
+
+const config = { yearStart: 1900, yearEnd: 2000 };
+
+/**
+ * Get the codes of the issues found, with the entry and attribute of each.
+ * @param {object[]} entries
+ * @param {object[]} [events = []]
+ * @param {object[]} [periods = []]
+ * @return {string[]}
+ */
+function codes(entries, events = [], periods = []) {
+	return new Validator(config).validate(entries, events, periods).map(i => `${i.code} ${i.entry}.${i.attribute}`);
+}
+
+test("valid data has no issues", () => {
+	const entries = [ { id: "A", start: 1900, end: 1950 }, { id: "B", start: "1920-05", split: "A", links: "A" }, { id: "C", start: "1930-01-02", merge: "A" } ];
+	assert.deepEqual(codes(entries, [ { year: 1925, content: "Event", target: "B" } ]), []);
+});
+
+test("references to entries that don't exist or have invalid dates are missing", () => {
+	const entries = [ { id: "A", start: "bad" }, { id: "B", start: 1950, end: 0 }, { id: "C", start: 1950, split: "A", links: "X" }, { id: "D", start: 1960, become: "B" } ];
+	assert.deepEqual(codes(entries), [
+		"invalid-date A.start",
+		"invalid-date B.end",
+		"missing-reference C.split",
+		"missing-reference C.links",
+		"missing-reference D.become"
+	]);
+});
+
+test("events targeting entries with invalid dates are missing a reference", () => {
+	assert.deepEqual(codes([ { id: "A", start: "1900-13" } ], [ { year: 1950, content: "Event", target: "A" } ]), [ "invalid-date A.start", "missing-reference A.target" ]);
+});
+
+test("entries can't refer to themselves", () => {
+	assert.deepEqual(codes([ { id: "A", start: 1900, links: "A" } ]), [ "self-reference A.links" ]);
+});
+
+test("a loop of entries becoming each other is reported once", () => {
+	const entries = [ { id: "A", start: 1900, become: "B" }, { id: "B", start: 1910, become: "C" }, { id: "C", start: 1920, become: "A" } ];
+	assert.deepEqual(codes(entries), [ "become-cycle C.become" ]);
+});
+
+test("entries with invalid dates don't complete a loop", () => {
+	const entries = [ { id: "A", start: 1900, become: "B" }, { id: "B", start: "bad", become: "A" } ];
+	assert.deepEqual(codes(entries), [ "missing-reference A.become", "invalid-date B.start" ]);
+});
+
+test("problems with an entry's own data", () => {
+	const entries = [
+		{ start: 1900 },
+		{ id: "A", start: 1950, end: 1940 },
+		{ id: "A", start: 1960 },
+		{ id: "B", start: 2010 },
+		{ id: "C", start: 0 },
+		{ id: "D", start: 1900, merge: "E", become: "E" },
+		{ id: "E", start: 1950 }
+	];
+	assert.deepEqual(codes(entries), [
+		"missing-property null.id",
+		"end-before-start A.end",
+		"duplicate-id A.id",
+		"out-of-range B.start",
+		"invalid-date C.start",
+		"merge-and-become D.merge"
+	]);
+});
+
+test("problems with events and periods", () => {
+	const events = [ { year: 1850, content: "Early" }, { year: 1950 } ];
+	const periods = [ { name: "P", start: 1950, end: 1940 }, { name: "Q", start: 1950, end: 1960, groups: "none" }, { name: "R", start: 1950, end: 1960, rows: "a" } ];
+	assert.deepEqual(codes([], events, periods), [
+		"out-of-range null.year",
+		"missing-property null.content",
+		"end-before-start null.end",
+		"unknown-group null.groups",
+		"invalid-rows null.rows"
+	]);
+});